@@ -0,0 +1,248 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import XpathFinder from './xpathfinder';
+import TextQuoteFinder from './textquotefinder';
+import { search, select } from './fuzzyfinder';
+import Range from './range';
+import logger from './logger';
+import type { RangeAnchor, RangeXpathDescriptor, RangeOffsetDescriptor } from './range';
+
+export type AnchorSubject = RangeAnchor;
+
+export type AnchorStrategy = 'xpath' | 'offsets' | 'quote' | 'fuzzy';
+
+type AnchorMatch = {| index: number, length: number, score: number | null |};
+
+// Maximum edit distance allowed when matching the quoted text approximately, as a fraction of its
+// length, and in absolute terms
+const FUZZY_TOLERANCE = 0.2;
+const FUZZY_MAX_DISTANCE = 16;
+// Maximum length of the quoted text matched approximately; longer quotes are matched by their head
+const FUZZY_MAX_LENGTH = 128;
+// Number of characters either side of the anchor's global offsets searched approximately
+const FUZZY_WINDOW = 2048;
+
+/**
+ * Class responsible for locating text in a `TextContent` instance from an anchor combining several
+ * representations of a range, as produced by `Range.toAnchor`
+ *
+ * Representations are tried in order of precision: the XPath descriptor, then the global offsets,
+ * then the text quote selector and finally an approximate match of the quoted text.  The XPath and
+ * offsets are only accepted if the text they point to is still the quoted text.  The `strategy`
+ * attribute reports which representation succeeded, or is `null` if the anchor is orphaned, in
+ * which case no match is produced; the match carries it in its own `strategy` attribute too.
+ */
+class AnchorFinder extends Finder {
+  strategy: AnchorStrategy | null;
+
+  /**
+   * Determine if given subject is of type accepted by the `AnchorFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `AnchorFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return subject != null && TextQuoteFinder.isSubject(subject.quote);
+  }
+
+  /**
+   * Class constructor
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {AnchorSubject} subject - Anchor descriptor
+   */
+  constructor(content: TextContent, subject: AnchorSubject) {
+    // Construct base class
+    super(content);
+
+    const { exact } = subject.quote;
+    const strategies: Array<[AnchorStrategy, () => AnchorMatch | null]> = [
+      ['xpath', () => this.fromXpath_(subject.xpath, exact)],
+      ['offsets', () => this.fromOffsets_(subject.offsets, exact)],
+      ['quote', () => this.fromQuote_(subject)],
+      ['fuzzy', () => this.fromFuzzy_(subject)],
+    ];
+
+    this.strategy = null;
+    for (const [strategy, locate] of strategies) {
+      const match = locate();
+      if (match !== null) {
+        this.strategy = strategy;
+        this.results.push(match);
+        return;
+      }
+    }
+
+    logger.warn('anchor orphaned:', exact);
+  }
+
+  /**
+   * Return next available match
+   *
+   * @returns {Range | null} Returns a `Range` bearing the strategy that located it if a match is
+   * available, or `null` if no more matches are available.
+   */
+  next(): Range | null {
+    const range = super.next();
+    if (range != null) {
+      range.strategy = this.strategy;
+    }
+
+    return range;
+  }
+
+  // Private interface
+  // -----------------
+  /**
+   * Locate the anchor from its XPath descriptor
+   * @access private
+   *
+   * @param {RangeXpathDescriptor} [xpath] - XPath descriptor
+   * @param {string} exact - Quoted text the descriptor must point to
+   * @returns {AnchorMatch | null} Match or `null` if the descriptor is absent or stale
+   */
+  fromXpath_(xpath: ?RangeXpathDescriptor, exact: string): AnchorMatch | null {
+    if (xpath == null) {
+      return null;
+    }
+
+    let range;
+    try {
+      range = new XpathFinder(this.content, xpath).next();
+    } catch (x) {
+      return null;
+    }
+
+    return range == null ? null : this.fromOffsets_(range.computeOffsets(), exact);
+  }
+
+  /**
+   * Locate the anchor from its global offsets
+   * @access private
+   *
+   * @param {RangeOffsetDescriptor} [offsets] - Global offsets
+   * @param {string} exact - Quoted text the offsets must point to
+   * @returns {AnchorMatch | null} Match or `null` if the offsets are absent or stale
+   */
+  fromOffsets_(offsets: ?RangeOffsetDescriptor, exact: string): AnchorMatch | null {
+    if (offsets == null) {
+      return null;
+    }
+
+    const { start, end } = offsets;
+    if (start < 0 || exact.length < 1 || this.content.text.substring(start, end) !== exact) {
+      return null;
+    }
+
+    return { index: start, length: end - start, score: null };
+  }
+
+  /**
+   * Locate the anchor from its text quote selector
+   * @access private
+   *
+   * @param {AnchorSubject} subject - Anchor descriptor
+   * @returns {AnchorMatch | null} Match or `null` if the quoted text no longer exists
+   */
+  fromQuote_(subject: AnchorSubject): AnchorMatch | null {
+    const range = new TextQuoteFinder(this.content, subject.quote).next();
+    if (range == null) {
+      return null;
+    }
+
+    const { start, end } = range.computeOffsets();
+    return { index: start, length: end - start, score: null };
+  }
+
+  /**
+   * Locate the anchor from an approximate match of its quoted text
+   *
+   * Since approximate matching is costly, quotes longer than `FUZZY_MAX_LENGTH` characters are
+   * matched by their head, the edit distance is capped at `FUZZY_MAX_DISTANCE` and, when the
+   * anchor's global offsets are available, the text within `FUZZY_WINDOW` characters of them is
+   * searched first; the whole text is only searched if no match is found there.  The best scoring
+   * match is selected.  Ties are resolved in favour of the match whose surrounding text shares the
+   * most with the quote's prefix and suffix, and then of the match closest to the anchor's global
+   * offsets.
+   * @access private
+   *
+   * @param {AnchorSubject} subject - Anchor descriptor
+   * @returns {AnchorMatch | null} Match or `null` if the quoted text cannot be matched
+   */
+  fromFuzzy_(subject: AnchorSubject): AnchorMatch | null {
+    const { text } = this.content;
+    const { exact, prefix = '', suffix = '' } = subject.quote;
+    const head = exact.substring(0, FUZZY_MAX_LENGTH);
+    const distance = Math.min(
+      Math.max(Math.floor(head.length * FUZZY_TOLERANCE), 1),
+      FUZZY_MAX_DISTANCE
+    );
+    const { offsets } = subject;
+    const origin = offsets == null ? 0 : offsets.start;
+
+    // Number of characters of the quote's context found either side of a match
+    const contextOf = (index, length) => {
+      let before = 0;
+      while (
+        before < prefix.length &&
+        text[index - before - 1] === prefix[prefix.length - before - 1]
+      ) {
+        ++before;
+      }
+
+      let after = 0;
+      while (after < suffix.length && text[index + length + after] === suffix[after]) {
+        ++after;
+      }
+
+      return before + after;
+    };
+
+    // Best match within the text from `from` to `to`
+    const bestOf = (from, to) => {
+      let best = null;
+      for (const candidate of select(search(text.substring(from, to), head, distance))) {
+        const index = from + candidate.index;
+        const length = Math.min(candidate.length + exact.length - head.length, text.length - index);
+        const match = {
+          index,
+          length,
+          score: 1 - candidate.distance / head.length,
+          context: contextOf(index, length),
+        };
+
+        if (
+          best == null ||
+          match.score > best.score ||
+          (match.score === best.score &&
+            (match.context > best.context ||
+              (match.context === best.context &&
+                Math.abs(match.index - origin) < Math.abs(best.index - origin))))
+        ) {
+          best = match;
+        }
+      }
+
+      return best;
+    };
+
+    let best = null;
+    if (offsets != null) {
+      best = bestOf(
+        Math.max(offsets.start - FUZZY_WINDOW, 0),
+        Math.min(offsets.end + FUZZY_WINDOW, text.length)
+      );
+    }
+
+    // The text may have moved further than the window
+    if (best == null) {
+      best = bestOf(0, text.length);
+    }
+
+    return best == null ? null : { index: best.index, length: best.length, score: best.score };
+  }
+}
+
+export default AnchorFinder;
@@ -1,26 +1,168 @@
 // @flow
 
 import TextContent from './textcontent';
+import Finder from './finder';
 import TextFinder from './textfinder';
+import FuzzyFinder from './fuzzyfinder';
+import DictionaryFinder from './dictionaryfinder';
+import SelectorFinder from './selectorfinder';
+import AnchorFinder from './anchorfinder';
+import TextQuoteFinder from './textquotefinder';
+import OffsetFinder from './offsetfinder';
 import XpathFinder from './xpathfinder';
-import type { TextSubject } from './textfinder';
+import type { TextSubject, TextFinderOptions } from './textfinder';
+import type { FuzzySubject } from './fuzzyfinder';
+import type { DictionarySubject } from './dictionaryfinder';
+import type { SelectorSubject } from './selectorfinder';
+import type { AnchorSubject } from './anchorfinder';
+import type { TextQuoteSubject } from './textquotefinder';
+import type { OffsetSubject } from './offsetfinder';
 import type { XpathSubject } from './xpathfinder';
 
+export type Subject =
+  | Finder
+  | TextSubject
+  | FuzzySubject
+  | DictionarySubject
+  | SelectorSubject
+  | AnchorSubject
+  | TextQuoteSubject
+  | OffsetSubject
+  | XpathSubject;
+
+export type FinderFactory = (
+  content: TextContent,
+  subject: any,
+  options: TextFinderOptions
+) => Finder;
+
+export type FinderRegistration = {
+  isSubject: (subject: any) => boolean,
+  create: FinderFactory,
+  priority?: number,
+};
+
+type RegistryEntry = {|
+  name: string,
+  isSubject: (subject: any) => boolean,
+  create: FinderFactory,
+  priority: number,
+|};
+
+// Registered finders in the order in which subjects are tested against them
+const registry: Array<RegistryEntry> = [];
+
+/**
+ * Unregister a finder
+ *
+ * @param {string} name - Name of the finder
+ * @returns {boolean} `true` if a finder by the name was registered
+ */
+function unregister(name: string): boolean {
+  const index = registry.findIndex(e => e.name === name);
+  if (index < 0) {
+    return false;
+  }
+
+  registry.splice(index, 1);
+  return true;
+}
+
+/**
+ * Register a finder, making subjects it recognises available to all highlighter instances
+ *
+ * Subjects are tested against registered finders in descending order of priority, and in order of
+ * registration among finders of equal priority.  The built-in finders have priorities between 10
+ * and 70; finders registered without a priority default to `0` and so are tried last.  A finder
+ * registered under the name of an existing one replaces it.
+ *
+ * @param {string} name - Unique name of the finder
+ * @param {FinderRegistration} registration - Descriptor containing a predicate that determines if
+ * a subject is recognised, a factory that creates a `Finder` instance for a subject and an
+ * optional priority
+ */
+function register(name: string, registration: FinderRegistration): void {
+  const { isSubject, create, priority = 0 } = registration;
+  if (typeof isSubject !== 'function' || typeof create !== 'function') {
+    throw new Error(`Invalid finder registration: ${name}`);
+  }
+
+  unregister(name);
+  const entry = { name, isSubject, create, priority };
+  const index = registry.findIndex(e => e.priority < priority);
+  registry.splice(index < 0 ? registry.length : index, 0, entry);
+}
+
 /**
  * Construct appropriate `Finder`-derived class for a given subject
  *
+ * Subjects that are already `Finder` instances are returned as is.  Otherwise, the subject is
+ * handed to the first registered finder that recognises it.  An exception is thrown if the subject
+ * is not recognised by any registered finder.
+ *
  * @param {TextContent} content - reference to `TextContent` holding a text representation of the
  * document
- * @param {TextSubject | XpathSubject} subject - subject to find; can be of `string` or `RegExp`
- * type
+ * @param {Subject} subject - subject to find; can be of `string` or `RegExp` type, a query, fuzzy,
+ * dictionary, CSS selector, anchor, text quote selector, offset or XPath descriptor, a finder
+ * instance or of any type recognised by a registered finder
+ * @param {TextFinderOptions} [options] - default options applying to text, fuzzy and dictionary
+ * subjects
  *
  * @returns {Finder} finder instance ready for use
  */
-function finder(content: TextContent, subject: TextSubject | XpathSubject) {
-  // FIXME: employ more robust check below that doesn't assume Xpath finder by default
-  return TextFinder.isSubject(subject)
-    ? new TextFinder(content, (subject: any))
-    : new XpathFinder(content, (subject: any));
+function finder(content: TextContent, subject: Subject | mixed, options: TextFinderOptions = {}) {
+  if (subject instanceof Finder) {
+    return subject;
+  }
+
+  const entry = registry.find(e => e.isSubject(subject));
+  if (entry == null) {
+    const names = registry.map(e => e.name).join(', ');
+    throw new Error(`Unrecognised subject type; registered finders: ${names}`);
+  }
+
+  return entry.create(content, subject, options);
 }
 
-export { finder };
+register('text', {
+  isSubject: TextFinder.isSubject,
+  create: (content, subject, options) => new TextFinder(content, subject, options),
+  priority: 70,
+});
+register('fuzzy', {
+  isSubject: FuzzyFinder.isSubject,
+  create: (content, subject, options) => new FuzzyFinder(content, subject, options),
+  priority: 60,
+});
+register('dictionary', {
+  isSubject: DictionaryFinder.isSubject,
+  create: (content, subject, options) => new DictionaryFinder(content, subject, options),
+  priority: 55,
+});
+register('selector', {
+  isSubject: SelectorFinder.isSubject,
+  create: (content, subject) => new SelectorFinder(content, subject),
+  priority: 50,
+});
+register('anchor', {
+  isSubject: AnchorFinder.isSubject,
+  create: (content, subject) => new AnchorFinder(content, subject),
+  priority: 40,
+});
+register('quote', {
+  isSubject: TextQuoteFinder.isSubject,
+  create: (content, subject) => new TextQuoteFinder(content, subject),
+  priority: 30,
+});
+register('offset', {
+  isSubject: OffsetFinder.isSubject,
+  create: (content, subject) => new OffsetFinder(content, subject),
+  priority: 20,
+});
+register('xpath', {
+  isSubject: XpathFinder.isSubject,
+  create: (content, subject) => new XpathFinder(content, subject),
+  priority: 10,
+});
+
+export { finder, register, unregister };
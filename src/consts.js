@@ -1,6 +1,16 @@
 // @flow
 
+import type { QuerySet } from './htmlhighlighter';
+
 export type ScrollToCallback = HTMLElement => void;
+export type RendererName = 'span' | 'highlight' | 'overlay';
+// Creates the element wrapping a fragment of a highlight, given the query set the highlight belongs
+// to, the highlight id and the index of the fragment
+export type HighlightElementFactory = (
+  querySet: QuerySet,
+  id: number,
+  index: number
+) => HTMLElement;
 
 export type InputOptions = {|
   container?: HTMLElement,
@@ -8,6 +18,19 @@ export type InputOptions = {|
   maxHighlight?: number,
   useQueryAsClass?: boolean,
   normalise?: boolean,
+  ignoreWhitespace?: boolean,
+  fold?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+  dictionary?: boolean,
+  exclude?: string,
+  excludeHidden?: boolean,
+  shadowRoots?: boolean,
+  namespace?: string,
+  renderer?: RendererName,
+  elementFactory?: HighlightElementFactory | null,
+  observe?: boolean,
 |};
 
 export type Options = {|
@@ -16,6 +39,19 @@ export type Options = {|
   maxHighlight: number,
   useQueryAsClass: boolean,
   normalise: boolean,
+  ignoreWhitespace: boolean,
+  fold: boolean,
+  withinBlocks: boolean,
+  blockSpacing: boolean,
+  rendered: boolean,
+  dictionary: boolean,
+  exclude: string,
+  excludeHidden: boolean,
+  shadowRoots: boolean,
+  namespace: string,
+  renderer: RendererName,
+  elementFactory: HighlightElementFactory | null,
+  observe: boolean,
 |};
 
 export const Css = {
@@ -23,3 +59,59 @@ export const Css = {
   enabled: 'hh-enabled',
   disabled: 'hh-disabled',
 };
+
+export const Attributes = {
+  // Elements with this attribute are excluded, along with their descendants, from the text content
+  ignore: 'data-hh-ignore',
+  // Highlight elements bear the namespace of the instance that created them, the id of the
+  // highlight and the id of its query set in the following attributes
+  highlight: 'data-hh-highlight',
+  id: 'data-hh-id',
+  query: 'data-hh-query',
+};
+
+// Names of the elements that delimit blocks of text, including line breaks
+export const BlockElements: Set<string> = new Set([
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BLOCKQUOTE',
+  'BR',
+  'CAPTION',
+  'DD',
+  'DETAILS',
+  'DIALOG',
+  'DIV',
+  'DL',
+  'DT',
+  'FIELDSET',
+  'FIGCAPTION',
+  'FIGURE',
+  'FOOTER',
+  'FORM',
+  'H1',
+  'H2',
+  'H3',
+  'H4',
+  'H5',
+  'H6',
+  'HEADER',
+  'HGROUP',
+  'HR',
+  'LI',
+  'MAIN',
+  'NAV',
+  'OL',
+  'P',
+  'PRE',
+  'SECTION',
+  'SUMMARY',
+  'TABLE',
+  'TBODY',
+  'TD',
+  'TFOOT',
+  'TH',
+  'THEAD',
+  'TR',
+  'UL',
+]);
@@ -3,7 +3,6 @@
 import EventEmitter from 'events';
 
 import * as dom from './dom';
-import { Css } from './consts';
 import HtmlHighlighter from './htmlhighlighter';
 
 /**
@@ -145,12 +144,9 @@ class Cursor extends EventEmitter {
     // Clear currently active highlight, if any, and set requested highlight active
     this.clearActive_();
     const c = markers[ndx];
-    const coll = dom.getHighlightElements(c.query.highlightId + c.index);
+    const first = owner.renderer.activate(c.query.highlightId + c.index);
     // Scroll viewport if element not visible
-    if (coll.length > 0) {
-      dom.addClass(coll, Css.enabled);
-
-      const first = coll[0];
+    if (first != null) {
       if (typeof owner.options.scrollTo === 'function') {
         owner.options.scrollTo(first);
       } else if (!dom.isInView(first)) {
@@ -203,10 +199,7 @@ class Cursor extends EventEmitter {
    * @access private
    */
   clearActive_(): void {
-    const { enabled: cssEnabled } = Css;
-    for (const el of dom.getAllHighlightElements(cssEnabled)) {
-      dom.removeClass(el, cssEnabled);
-    }
+    this.owner.renderer.deactivate();
   }
 }
 
@@ -0,0 +1,210 @@
+// @flow
+
+import Renderer from './renderer';
+import Range from './range';
+import type { DomRange, Scope } from './dom';
+import type { HighlightDescriptor } from './renderer';
+
+type NativeHighlight = {
+  add(range: DomRange): mixed,
+  delete(range: DomRange): boolean,
+  size: number,
+  priority: number,
+};
+
+type Entry = {| range: DomRange, names: Array<string>, queryId: number, enabled: boolean |};
+
+// Priorities of the highlights an entry is registered under, in order, so that the styles of query
+// sets take precedence over the base style, and that of the highlight at the cursor position
+const PRIORITIES = [0, 1, 2];
+const ACTIVE_PRIORITY = 3;
+
+/**
+ * Rendering backend that registers highlights with the CSS Custom Highlight API, leaving the DOM
+ * untouched
+ *
+ * Highlights are registered in `CSS.highlights` under names that mirror the CSS classes of the
+ * span backend: the namespace (e.g. `hh-highlight`), the query ID name (e.g. `hh-highlight-1`),
+ * the additional CSS class of the query set, if any, and the namespace suffixed with `-active` for
+ * the highlight at the cursor position.  They are styled with the `::highlight()` pseudo-element;
+ * e.g. `::highlight(hh-highlight-1) { background-color: yellow; }`.  Highlights of disabled query
+ * sets are unregistered.
+ *
+ * Since the highlight registry is shared by the whole document, instances using this backend
+ * should be given distinct namespaces.  An exception is thrown if the API is unavailable.
+ */
+class CustomHighlightRenderer extends Renderer {
+  entries: Map<number, Entry>;
+  highlights: Map<string, NativeHighlight>;
+  active: NativeHighlight | null;
+
+  /**
+   * Determine if the CSS Custom Highlight API is available
+   *
+   * @returns {boolean} `true` if highlights can be registered
+   */
+  static isSupported(): boolean {
+    const { CSS, Highlight } = (window: any);
+    return typeof Highlight === 'function' && CSS != null && CSS.highlights != null;
+  }
+
+  /**
+   * Class constructor
+   *
+   * @param {Scope} scope - Scope of the owning `HtmlHighlighter` instance
+   */
+  constructor(scope: Scope) {
+    super(scope);
+
+    if (!CustomHighlightRenderer.isSupported()) {
+      throw new Error('CSS Custom Highlight API not supported');
+    }
+
+    this.entries = new Map();
+    this.highlights = new Map();
+    this.active = null;
+  }
+
+  draw(range: Range, highlight: HighlightDescriptor): void {
+    const { id, queryId, enabled, cssClass } = highlight;
+    const { namespace } = this.scope;
+    const names = [namespace, `${namespace}-${queryId}`];
+
+    if (cssClass != null) {
+      names.push(cssClass);
+    }
+
+    const entry = { range: range.toDomRange(), names, queryId, enabled };
+    this.entries.set(id, entry);
+    if (enabled) {
+      this.show_(entry);
+    }
+  }
+
+  undraw(id: number): Array<Node> {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return [];
+    }
+
+    this.hide_(entry);
+    this.entries.delete(id);
+    if (this.active != null && this.active.delete(entry.range)) {
+      this.deactivate();
+    }
+
+    return [];
+  }
+
+  enable(queryId: number): void {
+    for (const entry of this.entries.values()) {
+      if (entry.queryId === queryId && !entry.enabled) {
+        entry.enabled = true;
+        this.show_(entry);
+      }
+    }
+  }
+
+  disable(queryId: number): void {
+    for (const entry of this.entries.values()) {
+      if (entry.queryId === queryId && entry.enabled) {
+        entry.enabled = false;
+        this.hide_(entry);
+      }
+    }
+  }
+
+  activate(id: number): HTMLElement | null {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return null;
+    }
+
+    this.deactivate();
+    this.active = this.create_(`${this.scope.namespace}-active`, ACTIVE_PRIORITY);
+    this.active.add(entry.range);
+
+    // Bring the element containing the start of the highlight into view
+    const node: any = entry.range.startContainer;
+    return node.nodeType === 1 ? node : node.parentElement;
+  }
+
+  deactivate(): void {
+    if (this.active != null) {
+      this.active = null;
+      (window: any).CSS.highlights.delete(`${this.scope.namespace}-active`);
+    }
+  }
+
+  /**
+   * Unregister all highlights
+   */
+  destroy(): void {
+    this.deactivate();
+    for (const entry of this.entries.values()) {
+      this.hide_(entry);
+    }
+
+    this.entries.clear();
+  }
+
+  // Private interface
+  // -----------------
+  /**
+   * Create and register a highlight
+   * @access private
+   *
+   * @param {string} name - Name to register the highlight under
+   * @param {number} priority - Priority of the highlight
+   * @returns {NativeHighlight} Highlight
+   */
+  create_(name: string, priority: number): NativeHighlight {
+    const highlight = new (window: any).Highlight();
+    highlight.priority = priority;
+    (window: any).CSS.highlights.set(name, highlight);
+    return highlight;
+  }
+
+  /**
+   * Add the range of an entry to the highlights it is registered under
+   * @access private
+   *
+   * @param {Entry} entry - Entry to show
+   */
+  show_(entry: Entry): void {
+    entry.names.forEach((name, i) => {
+      let highlight = this.highlights.get(name);
+      if (highlight == null) {
+        highlight = this.create_(name, PRIORITIES[i]);
+        this.highlights.set(name, highlight);
+      }
+
+      highlight.add(entry.range);
+    });
+  }
+
+  /**
+   * Remove the range of an entry from the highlights it is registered under
+   *
+   * Highlights left empty are unregistered.
+   * @access private
+   *
+   * @param {Entry} entry - Entry to hide
+   */
+  hide_(entry: Entry): void {
+    entry.names.forEach(name => {
+      const highlight = this.highlights.get(name);
+      if (highlight == null) {
+        return;
+      }
+
+      highlight.delete(entry.range);
+      if (highlight.size < 1) {
+        this.highlights.delete(name);
+        (window: any).CSS.highlights.delete(name);
+      }
+    });
+  }
+}
+
+export default CustomHighlightRenderer;
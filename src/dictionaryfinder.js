@@ -0,0 +1,215 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import * as util from './util';
+
+export type DictionarySubject = {|
+  terms: Array<string>,
+  fold?: boolean,
+  wholeWord?: boolean,
+  caseSensitive?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+|};
+
+export type DictionaryFinderOptions = {
+  fold?: boolean,
+  wholeWord?: boolean,
+  caseSensitive?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+};
+
+type Automaton = {|
+  edges: Array<Map<string, number>>,
+  fail: Array<number>,
+  lengths: Array<Array<number>>,
+|};
+
+type DictionaryMatch = {| index: number, length: number |};
+
+/**
+ * Compile a set of terms into an Aho-Corasick automaton
+ *
+ * State `0` is the root.  Each state holds the lengths of all the terms that end at it, including
+ * those reachable by way of failure transitions, longest first.
+ *
+ * @param {Array<string>} terms - Terms to compile; empty terms are ignored
+ * @returns {Automaton} Automaton
+ */
+function compile(terms: Array<string>): Automaton {
+  const edges = [new Map()];
+  const fail = [0];
+  const lengths = [[]];
+
+  // Build the trie of all terms
+  for (const term of terms) {
+    let state = 0;
+    for (const c of term.split('')) {
+      let next = edges[state].get(c);
+      if (next == null) {
+        next = edges.length;
+        edges.push(new Map());
+        fail.push(0);
+        lengths.push([]);
+        edges[state].set(c, next);
+      }
+
+      state = next;
+    }
+
+    if (state !== 0 && lengths[state].length === 0) {
+      lengths[state].push(term.length);
+    }
+  }
+
+  // Compute failure transitions breadth first so that those of shallower states are available
+  const queue = Array.from(edges[0].values());
+  for (let i = 0; i < queue.length; ++i) {
+    const state = queue[i];
+    lengths[state] = lengths[state].concat(lengths[fail[state]]);
+
+    for (const [c, next] of edges[state]) {
+      let f = fail[state];
+      while (f !== 0 && !edges[f].has(c)) {
+        f = fail[f];
+      }
+
+      const target = edges[f].get(c);
+      fail[next] = target == null ? 0 : target;
+      queue.push(next);
+    }
+  }
+
+  return { edges, fail, lengths };
+}
+
+/**
+ * Find all occurrences of the terms of an automaton in a text string in a single pass
+ *
+ * @param {Automaton} automaton - Automaton of terms
+ * @param {string} text - Text string to search
+ * @returns {Array<DictionaryMatch>} All occurrences, including overlapping ones, in order of end
+ * offset
+ */
+function search(automaton: Automaton, text: string): Array<DictionaryMatch> {
+  const { edges, fail, lengths } = automaton;
+  const matches = [];
+  let state = 0;
+
+  for (let i = 0; i < text.length; ++i) {
+    const c = text[i];
+    while (state !== 0 && !edges[state].has(c)) {
+      state = fail[state];
+    }
+
+    state = edges[state].get(c) || 0;
+    for (const length of lengths[state]) {
+      matches.push({ index: i + 1 - length, length });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Resolve overlapping matches according to the longest-leftmost policy
+ *
+ * Matches starting earliest take precedence, and the longest among those starting at the same
+ * offset.  Matches overlapping a selected match are discarded.
+ *
+ * @param {Array<DictionaryMatch>} matches - Matches to resolve
+ * @returns {Array<DictionaryMatch>} Non-overlapping matches in document order
+ */
+function resolve(matches: Array<DictionaryMatch>): Array<DictionaryMatch> {
+  const sorted = matches.slice().sort((l, r) => l.index - r.index || r.length - l.length);
+  const selected = [];
+  let end = 0;
+
+  for (const match of sorted) {
+    if (match.index >= end) {
+      selected.push(match);
+      end = match.index + match.length;
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Class responsible for locating the terms of a dictionary in a `TextContent` instance
+ *
+ * All terms are compiled into a single Aho-Corasick automaton that scans the text once, making the
+ * class suitable for dictionaries containing thousands of terms.  Overlapping occurrences are
+ * resolved by selecting the leftmost and, among those, the longest.  Terms are matched literally;
+ * matching of whitespace runs is not supported.
+ */
+class DictionaryFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `DictionaryFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `DictionaryFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return subject != null && Array.isArray(subject.terms);
+  }
+
+  /**
+   * Class constructor
+   *
+   * Options specified in the subject take precedence over `options`.  Matching is case
+   * insensitive unless `caseSensitive` is `true`.  The `fold`, `blockSpacing`, `rendered` and
+   * `withinBlocks` options have the same meaning as for `TextFinder`.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {DictionarySubject} subject - Descriptor containing the terms to match and, optionally,
+   * matching options
+   * @param {DictionaryFinderOptions} [options] - Default matching options
+   */
+  constructor(
+    content: TextContent,
+    subject: DictionarySubject,
+    options: DictionaryFinderOptions = {}
+  ) {
+    // Construct base class
+    super(content);
+
+    const option = key => (subject[key] == null ? options[key] === true : subject[key] === true);
+    const fold = option('fold');
+    const wholeWord = option('wholeWord');
+    const caseSensitive = option('caseSensitive');
+    const withinBlocks = option('withinBlocks');
+    const blockSpacing = option('blockSpacing');
+    const rendered = option('rendered');
+    const normalise = text => {
+      const folded = fold ? util.fold(text) : text;
+      return caseSensitive ? folded : util.toLowerCase(folded);
+    };
+
+    const shadow =
+      fold || blockSpacing || rendered ? content.getShadow(fold, blockSpacing, rendered) : null;
+    const text = shadow == null ? content.text : shadow.text;
+    const automaton = compile(subject.terms.map(normalise));
+    let matches = search(automaton, caseSensitive ? text : util.toLowerCase(text));
+
+    if (wholeWord) {
+      matches = matches.filter(
+        m => !util.isWithinWord(text, m.index) && !util.isWithinWord(text, m.index + m.length)
+      );
+    }
+
+    // Matches crossing block boundaries are discarded before resolving overlaps so that they do
+    // not take precedence over valid ones
+    this.results = resolve(
+      matches
+        .map(m => (shadow == null ? m : shadow.toOriginal(m.index, m.length)))
+        .filter(m => !withinBlocks || !content.crossesBoundary(m.index, m.length))
+    );
+  }
+}
+
+export default DictionaryFinder;
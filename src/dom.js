@@ -1,14 +1,14 @@
 // @flow
-// FIXME: this module relies heavily on `document.querySelector` and `document.querySelectorAll`
-// methods but suffers from the limitation that it (presently) runs the queries on the wider
-// document's DOM.  This means that, should there ever be a use case for multiple HTML Highlighter
-// instances running concurrently within the same DOM on separate subtrees, the result of doing so
-// would most certainly be undefined and most likely confusing and resulting in loss or corruption
-// of (perceived) state.
 
-import { Css } from './consts';
+import { Css, Attributes, BlockElements } from './consts';
 
 export type Position = {| x: number, y: number |};
+export type ElementPredicate = (element: Element) => boolean;
+export type ElementCollection = NodeList<HTMLElement> | Array<HTMLElement>;
+export type DomRange = Range;
+// Describes where the highlights of an instance live: the sub-tree they are looked up in, the base
+// CSS class they bear and whether open shadow roots are looked into
+export type Scope = {| root: Document | Element, namespace: string, deep: boolean |};
 
 function classNameToSet(el: HTMLElement): Set<string> {
   return new Set(
@@ -20,14 +20,14 @@ function classNameToSet(el: HTMLElement): Set<string> {
 }
 
 function ensureIterable(
-  elementOrCollection: HTMLElement | NodeList<HTMLElement>
+  elementOrCollection: HTMLElement | ElementCollection
 ): Iterable<HTMLElement> {
-  return elementOrCollection instanceof NodeList
+  return elementOrCollection instanceof NodeList || Array.isArray(elementOrCollection)
     ? elementOrCollection
-    : new Set([elementOrCollection]);
+    : new Set([(elementOrCollection: any)]);
 }
 
-function addClass(coll: HTMLElement | NodeList<HTMLElement>, name: string): void {
+function addClass(coll: HTMLElement | ElementCollection, name: string): void {
   for (const el of ensureIterable(coll)) {
     const set = classNameToSet(el);
     set.add(name);
@@ -35,7 +35,7 @@ function addClass(coll: HTMLElement | NodeList<HTMLElement>, name: string): void
   }
 }
 
-function removeClass(coll: HTMLElement | NodeList<HTMLElement>, name: string): void {
+function removeClass(coll: HTMLElement | ElementCollection, name: string): void {
   for (const el of ensureIterable(coll)) {
     const set = classNameToSet(el);
     set.delete(name);
@@ -43,25 +43,161 @@ function removeClass(coll: HTMLElement | NodeList<HTMLElement>, name: string): v
   }
 }
 
-function getHighlightElements(id: number): NodeList<HTMLElement> {
-  return document.querySelectorAll(`.${Css.highlight}-id-${id}`);
+// Query a DOM sub-tree along with the open shadow roots within it.  Shadow hosts are found by
+// walking the sub-tree rather than by querying all of its elements up front.
+function querySelectorAllDeep(
+  root: Document | Element | DocumentFragment,
+  selector: string
+): Array<HTMLElement> {
+  const result: Array<HTMLElement> = Array.from(root.querySelectorAll(selector));
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.nextNode(); el != null; el = walker.nextNode()) {
+    const shadowRoot = (el: any).shadowRoot;
+    if (shadowRoot != null) {
+      result.push(...querySelectorAllDeep(shadowRoot, selector));
+    }
+  }
+
+  return result;
+}
+
+function createScope(
+  root: Document | Element = document,
+  namespace: string = Css.highlight,
+  deep: boolean = false
+): Scope {
+  return { root, namespace, deep };
+}
+
+function query(scope: Scope, selector: string): ElementCollection {
+  const { root, deep } = scope;
+  return deep ? querySelectorAllDeep(root, selector) : root.querySelectorAll(selector);
+}
+
+function highlightSelector(scope: Scope): string {
+  return `[${Attributes.highlight}="${scope.namespace}"]`;
 }
 
-function getForQuerySet(qid: number): NodeList<HTMLElement> {
-  return document.querySelectorAll(`.${Css.highlight}-${qid}`);
+function getHighlightElements(id: number, scope: Scope): ElementCollection {
+  return query(scope, `${highlightSelector(scope)}[${Attributes.id}="${id}"]`);
 }
 
-function getAllHighlightElements(additionalClass: string | null = null): NodeList<HTMLElement> {
+function getForQuerySet(qid: number, scope: Scope): ElementCollection {
+  return query(scope, `${highlightSelector(scope)}[${Attributes.query}="${qid}"]`);
+}
+
+function getAllHighlightElements(
+  scope: Scope,
+  additionalClass: string | null = null
+): ElementCollection {
   const otherClass = additionalClass ? `.${additionalClass}` : '';
-  return document.querySelectorAll(`.${Css.highlight}${otherClass}`);
+  return query(scope, `${highlightSelector(scope)}${otherClass}`);
+}
+
+// Stamp an element with the attributes identifying it as a highlight element
+function markHighlight(el: HTMLElement, namespace: string, id: number, queryId: number): void {
+  el.setAttribute(Attributes.highlight, namespace);
+  el.setAttribute(Attributes.id, String(id));
+  el.setAttribute(Attributes.query, String(queryId));
+}
+
+function isHighlight(node: Node, namespace: string): boolean {
+  return node.nodeType === 1 && (node: any).getAttribute(Attributes.highlight) === namespace;
+}
+
+// The following functions traverse the DOM as it is rendered when `shadow` is `true`: an element
+// hosting an open shadow root is parent to the contents of the shadow root, and a slot is parent to
+// the nodes assigned to it.
+function childNodesOf(node: Node, shadow: boolean): NodeList<Node> | Array<Node> {
+  const el: any = node;
+  if (!shadow) {
+    return node.childNodes;
+  } else if (el.shadowRoot != null) {
+    return el.shadowRoot.childNodes;
+  } else if (node.nodeName === 'SLOT' && typeof el.assignedNodes === 'function') {
+    const assigned = el.assignedNodes();
+    if (assigned.length > 0) {
+      return assigned;
+    }
+  }
+
+  return node.childNodes;
+}
+
+function parentOf(node: Node, shadow: boolean): ?Node {
+  const parent: any = node.parentNode;
+  if (!shadow) {
+    return parent;
+  } else if ((node: any).assignedSlot != null) {
+    return (node: any).assignedSlot;
+  } else if (parent != null && parent.nodeType === 11 && parent.host != null) {
+    return parent.host;
+  }
+
+  return parent;
 }
 
-function createHighlightElement(node: HTMLElement | Node, className: string): HTMLElement {
-  const span = document.createElement('span');
-  span.className = className;
-  (node.parentNode: any).insertBefore(span, node);
-  span.appendChild(node);
-  return span;
+// Siblings are found by stepping through the DOM siblings of the node, without listing the children
+// of its parent.
+function nextSiblingOf(node: Node, shadow: boolean): ?Node {
+  if (!shadow) {
+    return node.nextSibling;
+  }
+
+  // Nodes assigned to a slot are its children, in tree order
+  const slot = (node: any).assignedSlot;
+  if (slot != null) {
+    let sibling = node.nextSibling;
+    while (sibling != null && (sibling: any).assignedSlot !== slot) {
+      sibling = sibling.nextSibling;
+    }
+
+    return sibling;
+  }
+
+  // Children of shadow hosts and fallback contents of slots with assigned nodes are not rendered
+  const parent: any = node.parentNode;
+  if (
+    parent == null ||
+    parent.shadowRoot != null ||
+    (parent.nodeName === 'SLOT' &&
+      typeof parent.assignedNodes === 'function' &&
+      parent.assignedNodes().length > 0)
+  ) {
+    return null;
+  }
+
+  return node.nextSibling;
+}
+
+// Wrap a node in a highlight element, which is either given or a `span` bearing the given classes
+function createHighlightElement(
+  node: HTMLElement | Node,
+  classNameOrElement: string | HTMLElement
+): HTMLElement {
+  let el;
+  if (typeof classNameOrElement === 'string') {
+    el = document.createElement('span');
+    el.className = classNameOrElement;
+  } else {
+    el = classNameOrElement;
+  }
+
+  (node.parentNode: any).insertBefore(el, node);
+  el.appendChild(node);
+  return el;
+}
+
+function createRange(
+  startNode: Node,
+  startOffset: number,
+  endNode: Node,
+  endOffset: number
+): DomRange {
+  const range = document.createRange();
+  range.setStart(startNode, startOffset);
+  range.setEnd(endNode, endOffset);
+  return range;
 }
 
 function insertBefore(newNode: Node, beforeNode: Node): Node {
@@ -75,6 +211,28 @@ function insertAfter(newNode: Node, afterNode: Node): Node {
   return newNode;
 }
 
+function isBlockBoundary(node: Node): boolean {
+  return node.nodeType === 1 && BlockElements.has(node.nodeName.toUpperCase());
+}
+
+function createExclusion(selector: string, hidden: boolean): ElementPredicate {
+  return element =>
+    element.hasAttribute(Attributes.ignore) ||
+    (selector.length > 0 && element.matches(selector)) ||
+    (hidden &&
+      ((element: any).hidden === true || window.getComputedStyle(element).display === 'none'));
+}
+
+function isExcluded(node: Node, root: Node, exclude: ElementPredicate): boolean {
+  for (let cur: any = node; cur != null && cur !== root; cur = parentOf(cur, true)) {
+    if (cur.nodeType === 1 && exclude((cur: any))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
 // Taken with a few alterations from:
 // https://www.kirupa.com/html5/get_element_position_using_javascript.htm
 function getOffset(el: HTMLElement): Position {
@@ -149,12 +307,23 @@ export { classNameToSet, ensureIterable };
 export {
   addClass,
   removeClass,
+  createScope,
   getHighlightElements,
   getForQuerySet,
   getAllHighlightElements,
+  markHighlight,
+  isHighlight,
+  querySelectorAllDeep,
+  childNodesOf,
+  parentOf,
+  nextSiblingOf,
   createHighlightElement,
+  createRange,
   insertBefore,
   insertAfter,
+  isBlockBoundary,
+  createExclusion,
+  isExcluded,
   getOffset,
   isInView,
   scrollIntoView,
@@ -136,15 +136,17 @@ describe('dom', () => {
   });
 
   describe('getHighlightElements', () => {
+    const scope = dom.createScope(document);
+
     it('returns expected single highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getHighlightElements(1).length, 1);
+      assert.strictEqual(dom.getHighlightElements(1, scope).length, 1);
     });
 
     it('returns expected multiple-part highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getHighlightElements(1).length, 2);
+      assert.strictEqual(dom.getHighlightElements(1, scope).length, 2);
     });
 
     it('returns expected single highlight element within noise', () => {
@@ -153,7 +155,7 @@ describe('dom', () => {
       }
 
       tools.makeHighlight(1, 2, { appendTo: 'body' });
-      assert.strictEqual(dom.getHighlightElements(1).length, 1);
+      assert.strictEqual(dom.getHighlightElements(1, scope).length, 1);
     });
 
     it('returns expected multiple-part highlight element within noise', () => {
@@ -163,7 +165,7 @@ describe('dom', () => {
 
       tools.makeHighlight(1, 2, { appendTo: 'body' });
       tools.makeHighlight(1, 2, { appendTo: 'body' });
-      assert.strictEqual(dom.getHighlightElements(1).length, 2);
+      assert.strictEqual(dom.getHighlightElements(1, scope).length, 2);
     });
 
     it('does not return anything when not present', () => {
@@ -171,20 +173,22 @@ describe('dom', () => {
         tools.makeHighlight(i, i % 2 + 1, { appendTo: 'body' });
       }
 
-      assert.strictEqual(dom.getHighlightElements(101).length, 0);
+      assert.strictEqual(dom.getHighlightElements(101, scope).length, 0);
     });
   });
 
   describe('getForQuerySet', () => {
+    const scope = dom.createScope(document);
+
     it('returns expected single highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getForQuerySet(1).length, 1);
+      assert.strictEqual(dom.getForQuerySet(1, scope).length, 1);
     });
 
     it('returns expected multiple-part highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getForQuerySet(1).length, 2);
+      assert.strictEqual(dom.getForQuerySet(1, scope).length, 2);
     });
 
     it('returns expected single highlight element within noise', () => {
@@ -192,10 +196,10 @@ describe('dom', () => {
         tools.makeHighlight(i, 1, { appendTo: 'body' });
       }
 
-      assert.strictEqual(dom.getForQuerySet(1).length, 100);
+      assert.strictEqual(dom.getForQuerySet(1, scope).length, 100);
 
       tools.makeHighlight(101, 2, { appendTo: 'body' });
-      assert.strictEqual(dom.getForQuerySet(2).length, 1);
+      assert.strictEqual(dom.getForQuerySet(2, scope).length, 1);
     });
 
     it('returns expected multiple-part highlight element within noise', () => {
@@ -203,11 +207,11 @@ describe('dom', () => {
         tools.makeHighlight(i, 1, { appendTo: 'body' });
       }
 
-      assert.strictEqual(dom.getForQuerySet(1).length, 100);
+      assert.strictEqual(dom.getForQuerySet(1, scope).length, 100);
 
       tools.makeHighlight(1, 2, { appendTo: 'body' });
       tools.makeHighlight(1, 2, { appendTo: 'body' });
-      assert.strictEqual(dom.getForQuerySet(2).length, 2);
+      assert.strictEqual(dom.getForQuerySet(2, scope).length, 2);
     });
 
     it('does not return anything when not present', () => {
@@ -215,21 +219,23 @@ describe('dom', () => {
         tools.makeHighlight(i, Math.floor((i - 1) / 2) + 1, { appendTo: 'body' });
       }
 
-      assert.strictEqual(dom.getForQuerySet(50).length, 2);
-      assert.strictEqual(dom.getForQuerySet(51).length, 0);
+      assert.strictEqual(dom.getForQuerySet(50, scope).length, 2);
+      assert.strictEqual(dom.getForQuerySet(51, scope).length, 0);
     });
   });
 
   describe('getAllHighlightElements', () => {
+    const scope = dom.createScope(document);
+
     it('returns expected single highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getAllHighlightElements().length, 1);
+      assert.strictEqual(dom.getAllHighlightElements(scope).length, 1);
     });
 
     it('returns expected multiple-part highlight element', () => {
       tools.makeHighlight(1, 1, { appendTo: 'body' });
       tools.makeHighlight(1, 1, { appendTo: 'body' });
-      assert.strictEqual(dom.getAllHighlightElements().length, 2);
+      assert.strictEqual(dom.getAllHighlightElements(scope).length, 2);
     });
 
     it('returns expected multiple highlights across many query sets', () => {
@@ -237,11 +243,11 @@ describe('dom', () => {
         tools.makeHighlight(i, Math.floor(i / 2) + 1, { appendTo: 'body' });
       }
 
-      assert.strictEqual(dom.getAllHighlightElements().length, 100);
+      assert.strictEqual(dom.getAllHighlightElements(scope).length, 100);
     });
 
     it('does not return anything when none present', () => {
-      assert.strictEqual(dom.getAllHighlightElements().length, 0);
+      assert.strictEqual(dom.getAllHighlightElements(scope).length, 0);
     });
   });
 
@@ -348,6 +354,27 @@ describe('dom', () => {
     });
   });
 
+  describe('nextSiblingOf', () => {
+    it('steps through siblings as rendered', () => {
+      const host = document.createElement('div');
+      host.innerHTML = '<i>one</i><b>two</b><u>three</u>';
+      const [one, two, three] = Array.from(host.childNodes);
+
+      // Emulate a shadow root whose slot is assigned the first and last children of the host
+      const slot: any = document.createElement('slot');
+      slot.innerHTML = '<s>fallback</s>';
+      slot.assignedNodes = () => [one, three];
+      [one, three].forEach(node => Object.defineProperty(node, 'assignedSlot', { value: slot }));
+      Object.defineProperty(host, 'shadowRoot', { value: document.createDocumentFragment() });
+
+      assert.strictEqual(dom.nextSiblingOf(one, true), three);
+      assert.isNull(dom.nextSiblingOf(three, true));
+      assert.isNull(dom.nextSiblingOf(two, true));
+      assert.isNull(dom.nextSiblingOf(slot.firstChild, true));
+      assert.strictEqual(dom.nextSiblingOf(one, false), two);
+    });
+  });
+
   // The following methods are untestable in jsdom and would require an actual browser environment
   // like the sort provided by WebDriver.
   describe('getOffset', () => {});
@@ -1,9 +1,8 @@
 // @flow
 
+import merge from 'merge';
+
 import TextContent from './textcontent';
-/* eslint-disable camelcase */
-import * as util from './util';
-/* eslint-enable camelcase */
 import Range from './range';
 import type { RangeDescriptor } from './range';
 
@@ -27,17 +26,41 @@ class Finder {
   }
 
   /**
-   * @abstract
    * Return next available match
    *
-   * If no more matches available, returns `null`.
+   * If no more matches available, returns `null`.  Assumes that matches are held in the `results`
+   * attribute as global offsets and lengths, optionally with a score, which is the case of most
+   * built-in finders.  Finders holding matches otherwise should override this method.
    *
    * @returns {Range | null} Returns a `Range` if a match is available, or `null` if no more
    * matches are available.
    */
-  // $FlowFixMe: below signature is needed in specialized classes
   next(): Range | null {
-    util.abstract();
+    if (this.current >= this.results.length) {
+      return null;
+    }
+
+    const match = this.results[this.current];
+    const range = this.rangeOf_(match.index, match.length);
+
+    if (match.score != null) {
+      range.score = match.score;
+    }
+
+    ++this.current;
+    return range;
+  }
+
+  /**
+   * Return the number of matches not yet returned by `next`, without building `Range` instances
+   *
+   * Assumes that matches are held in the `results` attribute, which is the case of all built-in
+   * finders.  Finders producing matches otherwise should override this method.
+   *
+   * @returns {number} Number of available matches
+   */
+  count(): number {
+    return this.results.length - this.current;
   }
 
   // Protected interface
@@ -57,6 +80,29 @@ class Finder {
 
     return Range.descriptorAbs(this.content.at(index), offset);
   }
+
+  /**
+   * Return a `Range` spanning a given number of characters from a given offset
+   * @access private
+   *
+   * @param {number} offset - Text offset
+   * @param {number} length - Number of characters
+   * @returns {Range} Range instance
+   */
+  rangeOf_(offset: number, length: number): Range {
+    const start = this.getAt_(offset);
+    let end;
+
+    // Re-use start marker descriptor if end offset within bounds of start text node
+    if (start.offset + length <= start.marker.node.nodeValue.length) {
+      end = merge({}, start);
+      end.offset = start.offset + length - 1;
+    } else {
+      end = this.getAt_(offset + length - 1);
+    }
+
+    return new Range(this.content, start, end);
+  }
 }
 
 export default Finder;
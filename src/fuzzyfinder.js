@@ -0,0 +1,232 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import * as util from './util';
+
+export type FuzzySubject = {|
+  fuzzy: string,
+  distance?: number,
+  fold?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+|};
+
+export type FuzzyFinderOptions = {
+  fold?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+};
+
+type FuzzyMatch = {| index: number, length: number, distance: number |};
+
+/**
+ * Compute the column of the Sellers algorithm matrix for the next text offset
+ *
+ * @param {string} target - Pattern to look for
+ * @param {string} c - Character of the text at the current offset
+ * @param {number} offset - Offset immediately after the current character
+ * @param {Array<number>} dist - Distances of the previous column
+ * @param {Array<number>} start - Alignment start offsets of the previous column
+ * @param {Array<number>} nextDist - Distances of the next column, computed in place
+ * @param {Array<number>} nextStart - Alignment start offsets of the next column, computed in place
+ */
+function advance(
+  target: string,
+  c: string,
+  offset: number,
+  dist: Array<number>,
+  start: Array<number>,
+  nextDist: Array<number>,
+  nextStart: Array<number>
+): void {
+  nextDist[0] = 0;
+  nextStart[0] = offset;
+
+  for (let i = 1, m = target.length; i <= m; ++i) {
+    // Prefer substitution (or match), then skipping a character of the text and finally skipping a
+    // character of the pattern.
+    let d = dist[i - 1] + (target[i - 1] === c ? 0 : 1);
+    let s = start[i - 1];
+
+    if (dist[i] + 1 < d) {
+      d = dist[i] + 1;
+      s = start[i];
+    }
+
+    if (nextDist[i - 1] + 1 < d) {
+      d = nextDist[i - 1] + 1;
+      s = nextStart[i - 1];
+    }
+
+    nextDist[i] = d;
+    nextStart[i] = s;
+  }
+}
+
+/**
+ * Find all candidate approximate matches of a pattern in a text string
+ *
+ * Implements the Sellers algorithm, a variation of the Levenshtein distance dynamic programming
+ * algorithm where matches may start at any position of the text.  Alongside the distance, the start
+ * offset of the best alignment is tracked for every cell so a candidate match can be reported for
+ * every end offset where the distance does not exceed `max`.
+ *
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern to look for
+ * @param {number} max - Maximum edit distance
+ * @returns {Array<FuzzyMatch>} Candidate matches ordered by end offset
+ */
+function search(text: string, pattern: string, max: number): Array<FuzzyMatch> {
+  const source = util.toLowerCase(text);
+  const target = util.toLowerCase(pattern);
+  const m = target.length;
+  const matches = [];
+
+  // Distance and alignment start offset per pattern prefix length, for the previous and current
+  // text offsets.
+  let dist = new Array(m + 1);
+  let start = new Array(m + 1);
+  let nextDist = new Array(m + 1);
+  let nextStart = new Array(m + 1);
+
+  for (let i = 0; i <= m; ++i) {
+    dist[i] = i;
+    start[i] = 0;
+  }
+
+  for (let j = 0, n = source.length; j < n; ++j) {
+    advance(target, source[j], j + 1, dist, start, nextDist, nextStart);
+
+    if (nextDist[m] <= max && nextStart[m] <= j) {
+      matches.push({ index: nextStart[m], length: j + 1 - nextStart[m], distance: nextDist[m] });
+    }
+
+    let swap = dist;
+    dist = nextDist;
+    nextDist = swap;
+
+    swap = start;
+    start = nextStart;
+    nextStart = swap;
+  }
+
+  return matches;
+}
+
+/**
+ * Select the best non-overlapping matches from a list of candidate matches
+ *
+ * Overlapping candidates are grouped together and only the candidate with the lowest distance in
+ * each group is retained.  Ties are resolved in favour of the candidate that ends first.
+ *
+ * @param {Array<FuzzyMatch>} candidates - Candidate matches ordered by end offset
+ * @returns {Array<FuzzyMatch>} Selected matches
+ */
+function select(candidates: Array<FuzzyMatch>): Array<FuzzyMatch> {
+  const selected = [];
+  let best = null;
+  let end = -1;
+
+  for (const candidate of candidates) {
+    if (best != null && candidate.index < end) {
+      if (candidate.distance < best.distance) {
+        best = candidate;
+      }
+    } else {
+      if (best != null) {
+        selected.push(best);
+      }
+
+      best = candidate;
+    }
+
+    end = candidate.index + candidate.length;
+  }
+
+  if (best != null) {
+    selected.push(best);
+  }
+
+  return selected;
+}
+
+/**
+ * Class responsible for finding approximate matches of a string in a `TextContent` instance
+ *
+ * Matches are found within a maximum edit (Levenshtein) distance of the subject, in a case
+ * insensitive manner, by way of the Sellers algorithm.  Where multiple candidate matches overlap,
+ * only the one with the lowest distance is retained.
+ *
+ * The `Range` instances produced carry a `score` attribute in the range `[0, 1]`, where `1`
+ * denotes an exact match and `0` a match at the maximum possible distance.
+ */
+class FuzzyFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `FuzzyFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `FuzzyFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return subject != null && typeof subject.fuzzy === 'string';
+  }
+
+  /**
+   * Class constructor
+   *
+   * The maximum edit distance defaults to `1` when not specified in the subject.  Options
+   * specified in the subject take precedence over `options`.  The `fold`, `blockSpacing`,
+   * `rendered` and `withinBlocks` options have the same meaning as for `TextFinder`.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {FuzzySubject} subject - Descriptor containing the string to match and, optionally, the
+   * maximum edit distance
+   * @param {FuzzyFinderOptions} [options] - Default matching options
+   */
+  constructor(content: TextContent, subject: FuzzySubject, options: FuzzyFinderOptions = {}) {
+    // Construct base class
+    super(content);
+
+    const distance = subject.distance == null ? 1 : subject.distance;
+    if (distance < 0 || distance !== Math.floor(distance)) {
+      throw new Error('Invalid edit distance: ' + distance);
+    } else if (subject.fuzzy.length === 0) {
+      throw new Error('Empty fuzzy subject');
+    }
+
+    const option = key => (subject[key] == null ? options[key] === true : subject[key] === true);
+    const fold = option('fold');
+    const withinBlocks = option('withinBlocks');
+    const blockSpacing = option('blockSpacing');
+    const rendered = option('rendered');
+    const shadow =
+      fold || blockSpacing || rendered ? content.getShadow(fold, blockSpacing, rendered) : null;
+    const text = shadow == null ? content.text : shadow.text;
+    const pattern = fold ? util.fold(subject.fuzzy) : subject.fuzzy;
+
+    // Candidates crossing block boundaries are discarded before selecting among overlapping ones
+    // so that they do not take the place of valid ones
+    const candidates = search(text, pattern, distance)
+      .map(match => {
+        if (shadow == null) {
+          return match;
+        }
+
+        const { index, length } = shadow.toOriginal(match.index, match.length);
+        return { index, length, distance: match.distance };
+      })
+      .filter(match => !withinBlocks || !content.crossesBoundary(match.index, match.length));
+
+    this.results = select(candidates).map(match => ({
+      index: match.index,
+      length: match.length,
+      score: 1 - match.distance / pattern.length,
+    }));
+  }
+}
+
+export { search, select };
+export default FuzzyFinder;
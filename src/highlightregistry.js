@@ -0,0 +1,113 @@
+// @flow
+
+type Entry = {| queryId: number, elements: Array<HTMLElement> |};
+
+/**
+ * In-memory registry of highlight elements
+ *
+ * Maps each highlight ID to the elements created for it and each query set ID to the IDs of its
+ * highlights, so that highlight elements can be retrieved without querying the document.
+ * Populated by `RangeHighlighter` and cleaned up by `RangeUnhighlighter`.
+ */
+class HighlightRegistry {
+  entries: Map<number, Entry>;
+  queries: Map<number, Set<number>>;
+
+  /**
+   * Class constructor
+   */
+  constructor() {
+    this.entries = new Map();
+    this.queries = new Map();
+  }
+
+  /**
+   * Register an element of a highlight
+   *
+   * @param {number} queryId - ID of the query set the highlight belongs to
+   * @param {number} id - ID of the highlight
+   * @param {HTMLElement} element - Highlight element
+   */
+  add(queryId: number, id: number, element: HTMLElement): void {
+    let entry = this.entries.get(id);
+    if (entry == null) {
+      entry = { queryId, elements: [] };
+      this.entries.set(id, entry);
+    }
+
+    let ids = this.queries.get(queryId);
+    if (ids == null) {
+      ids = new Set();
+      this.queries.set(queryId, ids);
+    }
+
+    entry.elements.push(element);
+    ids.add(id);
+  }
+
+  /**
+   * Unregister a highlight
+   *
+   * @param {number} id - ID of the highlight
+   * @returns {Array<HTMLElement>} Elements of the highlight, if any
+   */
+  remove(id: number): Array<HTMLElement> {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return [];
+    }
+
+    const ids = this.queries.get(entry.queryId);
+    if (ids != null) {
+      ids.delete(id);
+      if (ids.size < 1) {
+        this.queries.delete(entry.queryId);
+      }
+    }
+
+    this.entries.delete(id);
+    return entry.elements;
+  }
+
+  /**
+   * Return the elements of a highlight
+   *
+   * @param {number} id - ID of the highlight
+   * @returns {Array<HTMLElement>} Elements of the highlight in document order
+   */
+  get(id: number): Array<HTMLElement> {
+    const entry = this.entries.get(id);
+    return entry == null ? [] : entry.elements.slice();
+  }
+
+  /**
+   * Return the IDs of the highlights of a query set
+   *
+   * @param {number} queryId - ID of the query set
+   * @returns {Array<number>} IDs of the highlights
+   */
+  idsOf(queryId: number): Array<number> {
+    const ids = this.queries.get(queryId);
+    return ids == null ? [] : Array.from(ids);
+  }
+
+  /**
+   * Return the elements of all highlights of a query set
+   *
+   * @param {number} queryId - ID of the query set
+   * @returns {Array<HTMLElement>} Elements of the highlights
+   */
+  getForQuerySet(queryId: number): Array<HTMLElement> {
+    const elements = [];
+    for (const id of this.idsOf(queryId)) {
+      const entry = this.entries.get(id);
+      if (entry != null) {
+        elements.push(...entry.elements);
+      }
+    }
+
+    return elements;
+  }
+}
+
+export default HighlightRegistry;
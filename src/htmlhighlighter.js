@@ -7,12 +7,26 @@ import merge from 'merge';
 import * as dom from './dom';
 import { Css } from './consts';
 import type { InputOptions, Options } from './consts';
+import type { Scope } from './dom';
 import TextContent from './textcontent';
-import RangeHighlighter from './rangehighlighter';
-import RangeUnhighlighter from './rangeunhighlighter';
+import Renderer from './renderer';
+import SpanRenderer from './spanrenderer';
+import CustomHighlightRenderer from './customhighlightrenderer';
+import OverlayRenderer from './overlayrenderer';
 import Range from './range';
 import Cursor from './cursor';
+import Finder from './finder';
+import MatchFinder from './matchfinder';
+import TextFinder from './textfinder';
+import FuzzyFinder from './fuzzyfinder';
+import DictionaryFinder from './dictionaryfinder';
+import OffsetFinder from './offsetfinder';
 import * as constructor from './constructor';
+import type { FinderRegistration } from './constructor';
+import type { TextFinderOptions } from './textfinder';
+import type { ContentChange } from './textcontent';
+import type { RangeOffsetDescriptor } from './range';
+import type { AnchorStrategy } from './anchorfinder';
 import logger from './logger';
 
 export type Stats = {|
@@ -27,15 +41,110 @@ export type QuerySet = {|
   queryId: number,
   highlightId: number,
   length: number,
+  allocated: number,
   reserve: number | null,
+  queries: Array<any>,
 |};
 
+export type PatternOptions = {
+  groupToQuerySet?: { [group: string]: string },
+  enabled?: boolean,
+};
+
 export type Marker = {|
   query: QuerySet,
   index: number,
   offset: number,
+  score: number | null,
+  strategy: AnchorStrategy | null,
+|};
+
+// Portion of the text searched for the queries of a query set after the text changes
+type SyncWindow = {|
+  // Copy of the text content restricted to the portion of the text
+  content: TextContent,
+  // Global offset at which the portion of the text starts
+  offset: number,
+  // Changed ranges of the text, in global offsets; empty ranges are left by removed text
+  ranges: Array<RangeOffsetDescriptor>,
 |};
 
+// Rendering backends selectable by way of the `renderer` option
+const Renderers: { [string]: Class<Renderer> } = {
+  span: SpanRenderer,
+  highlight: CustomHighlightRenderer,
+  overlay: OverlayRenderer,
+};
+
+/**
+ * Merge overlapping or adjacent offset ranges
+ *
+ * @param {Array<RangeOffsetDescriptor>} ranges - Ranges to merge
+ * @returns {Array<RangeOffsetDescriptor>} Merged ranges in ascending order
+ */
+function mergeRanges(ranges: Array<RangeOffsetDescriptor>): Array<RangeOffsetDescriptor> {
+  const merged = [];
+  ranges
+    .slice()
+    .sort((l, r) => l.start - r.start)
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last != null && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+
+  return merged;
+}
+
+/**
+ * Group changed ranges of the text into the portions of the text searched for them
+ *
+ * Each portion spans the blocks containing one or more changed ranges; refer to
+ * `TextContent.widen`.
+ *
+ * @param {TextContent} content - Text content, as patched
+ * @param {Array<RangeOffsetDescriptor>} changed - Changed ranges of the text
+ * @returns {Array<{start: number, end: number, ranges: Array<RangeOffsetDescriptor>}>} Global
+ * offsets of the portions of the text, in ascending order, and the changed ranges within each
+ */
+function windowsOf(
+  content: TextContent,
+  changed: Array<RangeOffsetDescriptor>
+): Array<{ start: number, end: number, ranges: Array<RangeOffsetDescriptor> }> {
+  const windows = [];
+  for (const range of mergeRanges(changed)) {
+    const { start, end } = content.widen(range.start, range.end);
+    const last = windows[windows.length - 1];
+    if (last != null && start < last.end) {
+      last.end = Math.max(last.end, end);
+      last.ranges.push(range);
+    } else {
+      windows.push({ start, end, ranges: [range] });
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Determine if a span of text overlaps a changed range of the text
+ *
+ * Spans only overlap an empty range, as left by removed text, if they extend either side of it.
+ *
+ * @param {RangeOffsetDescriptor} range - Changed range
+ * @param {number} start - Global offset of the span
+ * @param {number} end - Global offset at which the span ends, exclusive
+ * @returns {boolean} `true` if the span overlaps the range
+ */
+function overlaps(range: RangeOffsetDescriptor, start: number, end: number): boolean {
+  return range.end > range.start
+    ? start < range.end && end > range.start
+    : start < range.start && end > range.start;
+}
+
 /**
  * Main class of the HTML Highlighter module, which exposes an API enabling
  * clients to control all the features supported related to highlighting and
@@ -50,9 +159,15 @@ export type Marker = {|
  *  - enable: query set enabled
  *  - disable: query set disabled
  *  - clear: all query sets removed and cursor cleared
+ *  - click: one or more highlights clicked, given by their ids; only emitted by renderers
+ *    supporting it, such as the `overlay` renderer
+ *  - contentchange: text content changed by a mutation of the DOM, in `observe` mode
  */
 class HtmlHighlighter extends EventEmitter {
   options: Options;
+  scope: Scope;
+  renderer: Renderer;
+  observer: MutationObserver | null;
   cursor: Cursor;
   stats: Stats;
   lastId: number;
@@ -74,8 +189,81 @@ class HtmlHighlighter extends EventEmitter {
     maxHighlight: 1,
     useQueryAsClass: false,
     normalise: true,
+    // When `true`, any run of whitespace in a text query matches any run of whitespace in the
+    // document.  Can be overridden per query by way of a query object; e.g.
+    // `{ text: 'foo bar', ignoreWhitespace: false }`.
+    ignoreWhitespace: false,
+    // When `true`, text queries are matched in a diacritic- and Unicode normalisation-insensitive
+    // manner; e.g. "Zurich" matches "Zürich".  Can be overridden per query by way of a query
+    // object; e.g. `{ text: 'Zurich', fold: false }`.  Regular expressions are always matched
+    // against the text itself, as are they when `blockSpacing` or `rendered` is set.
+    fold: false,
+    // When `true`, matches of text queries never cross the boundaries of block-level elements or
+    // line breaks; e.g. "paragraphNext" does not match `<p>paragraph</p><p>Next</p>`.
+    withinBlocks: false,
+    // When `true`, text queries are matched as if whitespace separated the contents of adjacent
+    // block-level elements; e.g. "paragraph Next" matches `<p>paragraph</p><p>Next</p>`.  Offsets
+    // are unaffected.
+    blockSpacing: false,
+    // When `true`, text queries are matched against the text as rendered on screen, e.g. with
+    // whitespace collapsed and `text-transform` applied, as opposed to the raw text of the DOM.
+    rendered: false,
+    // When `true`, two or more plain string queries of a query set are matched together as a
+    // dictionary query, in a single pass over the text; overlapping occurrences of different
+    // strings are then resolved in favour of the leftmost and longest, whereas all are highlighted
+    // otherwise.
+    dictionary: false,
+    // Selector list of elements whose text is excluded from highlighting, along with that of their
+    // descendants.  Elements bearing the `data-hh-ignore` attribute are always excluded.
+    exclude: 'script, style, noscript, template',
+    // When `true`, elements hidden from view with `display: none` are excluded too.  Costly in
+    // large documents since the style of every element of the container is then computed.
+    excludeHidden: false,
+    // When `true`, the contents of open shadow roots within the container are highlighted too.
+    shadowRoots: false,
+    // Base CSS class of highlight elements, from which the query set and highlight id classes are
+    // derived; e.g. `hh-highlight-1` and `hh-highlight-id-3`.  Instances highlighting the same
+    // document should use distinct namespaces if their containers are nested.
+    namespace: Css.highlight,
+    // Rendering backend: `span` wraps highlighted text in `span` elements, whereas `highlight`
+    // registers highlights with the CSS Custom Highlight API and leaves the DOM untouched, and
+    // `overlay` draws highlights as positioned boxes in a layer above the content.
+    renderer: 'span',
+    // Function producing the elements wrapping highlighted text, e.g. `mark` elements bearing ARIA
+    // attributes, in place of `span` elements; refer to `HighlightElementFactory`.  Only honoured
+    // by the `span` renderer.
+    elementFactory: null,
+    // When `true`, mutations of the container are observed and the text content patched
+    // accordingly, with query sets applied to changed text; refer to `sync_`.  Highlight ids being
+    // allocated contiguously, only the last query set created and query sets with enough reserve
+    // available receive highlights of changed text.
+    observe: false,
   };
 
+  /**
+   * Register a finder, making subjects it recognises available to all instances
+   *
+   * Enables third-party `Finder`-derived classes to be used without modifying this module.  Refer
+   * to `constructor.register` for details on how subjects are dispatched to registered finders.
+   *
+   * @param {string} name - Unique name of the finder
+   * @param {FinderRegistration} registration - Descriptor containing an `isSubject` predicate, a
+   * `create` factory and an optional `priority`
+   */
+  static registerFinder(name: string, registration: FinderRegistration): void {
+    constructor.register(name, registration);
+  }
+
+  /**
+   * Unregister a finder
+   *
+   * @param {string} name - Name of the finder
+   * @returns {boolean} `true` if a finder by the name was registered
+   */
+  static unregisterFinder(name: string): boolean {
+    return constructor.unregister(name);
+  }
+
   constructor(options: InputOptions) {
     super();
 
@@ -105,8 +293,35 @@ class HtmlHighlighter extends EventEmitter {
       this.options.container = container;
     }
 
+    // Highlight elements are only ever looked up within the container, so that several instances
+    // can coexist in the same document.
+    const { namespace, shadowRoots } = this.options;
+    this.scope = dom.createScope(this.options.container, namespace, shadowRoots);
+
+    const RendererClass = Renderers[this.options.renderer];
+    if (RendererClass == null) {
+      throw new Error(`Invalid renderer: ${this.options.renderer}`);
+    }
+
+    this.renderer = new RendererClass(this.scope, { elementFactory: this.options.elementFactory });
+    this.renderer.on('click', (ids, event) => this.emit('click', ids, event));
+
     this.cursor = new Cursor(this);
 
+    this.observer = null;
+    if (this.options.observe) {
+      if (typeof window.MutationObserver !== 'function') {
+        throw new Error('MutationObserver not supported');
+      }
+
+      this.observer = new window.MutationObserver(records => this.sync_(records));
+      this.observer.observe(this.options.container, {
+        childList: true,
+        characterData: true,
+        subtree: true,
+      });
+    }
+
     // Start by refreshing the internal document's text representation, which initialises
     // `this.content`.
     this.refresh();
@@ -121,11 +336,43 @@ class HtmlHighlighter extends EventEmitter {
    * Should only be invoked when the HTML structure mutates.
    */
   refresh() {
-    this.content = new TextContent(this.options.container);
+    // Mutations observed thus far are reflected in the refreshed text content
+    if (this.observer != null) {
+      this.observer.takeRecords();
+    }
+
+    const { container, exclude, excludeHidden, shadowRoots, namespace } = this.options;
+    this.content = new TextContent(container, { exclude, excludeHidden, shadowRoots, namespace });
     this.assert_();
     this.emit('refresh');
   }
 
+  /**
+   * Stop observing mutations of the container
+   *
+   * Only applicable in `observe` mode.  Mutations observed thus far are reflected first.
+   */
+  disconnect(): void {
+    const observer = this.observer;
+    if (observer != null) {
+      this.sync_(observer.takeRecords());
+      observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Stop observing mutations and release the resources held by the rendering backend
+   *
+   * Highlights drawn as overlay boxes or custom highlights are removed whereas highlight elements
+   * are left in the document; invoke `clear` first to remove those too.  The instance is unusable
+   * afterwards.
+   */
+  destroy(): void {
+    this.disconnect();
+    this.renderer.destroy();
+  }
+
   /**
    * Create a query set by the name and containing one or more queries
    *
@@ -133,7 +380,10 @@ class HtmlHighlighter extends EventEmitter {
    * created.  Optionally, it is possible to specify a number of highlights to reserve for the
    * query set.
    *
-   * Note that, at this point in time, only string queries and XPath representations are supported.
+   * Queries may be strings, query objects (e.g. `{ text: 'foo' }`), regular expressions, XPath
+   * representations or any other subject recognised by a registered finder; refer to
+   * `constructor.finder`.  Large numbers of terms are best added as a single dictionary query
+   * (e.g. `{ terms: ['foo', 'bar'] }`), which matches all terms in a single pass over the text.
    *
    * @param {string} name - Name of the query set
    * @param {Array<any>} queries - Array containing individual queries to highlight
@@ -148,6 +398,8 @@ class HtmlHighlighter extends EventEmitter {
     enabled: boolean = true,
     reserve: number | null = null
   ): HtmlHighlighter {
+    this.flush_();
+
     enabled = enabled === true;
     if (typeof reserve !== 'number' || reserve < 1) {
       reserve = null;
@@ -164,7 +416,9 @@ class HtmlHighlighter extends EventEmitter {
       queryId: this.stats.highlight,
       highlightId: this.lastId,
       length: 0,
+      allocated: 0,
       reserve: null,
+      queries: queries.filter(query => !(query instanceof Finder)),
     };
 
     this.queries.set(name, querySet);
@@ -202,22 +456,30 @@ class HtmlHighlighter extends EventEmitter {
    * Append one or more queries to an existing query set
    *
    * If the query set doesn't yet exist, an exception is thrown. In addition, the query set
-   * **must** have enough reserved space available to contain the new queries.  All queries not
-   * fitting in the container are suppressed.
+   * **must** have enough reserved space available to contain the new queries, unless it is the
+   * last query set added.  All queries not fitting in the container are suppressed.
    *
    * @param {string} name - Name of the query set.
-   * @param {string[]} queries - Array containing individual queries to highlight.
+   * @param {Array<any>} queries - Array containing individual queries to highlight.
    * @param {bool} enabled - If explicitly `true`, query set is also enabled.
    *
    * @returns {HtmlHighlighter} Self instance for chaining
    */
-  append(name: string, queries: Array<string>, enabled: boolean = false): HtmlHighlighter {
+  append(name: string, queries: Array<any>, enabled: boolean = false): HtmlHighlighter {
+    this.flush_();
+
     const querySet = this.queries.get(name);
     if (querySet == null) {
       throw new Error('Invalid or query set not yet created');
     }
 
-    this.add_queries_(querySet, queries, enabled === true);
+    const last = querySet.highlightId + querySet.allocated === this.lastId;
+    querySet.queries.push(...queries.filter(query => !(query instanceof Finder)));
+    const count = this.add_queries_(querySet, queries, enabled === true);
+    if (querySet.reserve == null && last) {
+      this.lastId += count;
+    }
+
     this.cursor.clear();
     this.assert_();
     this.emit('append', name, querySet, queries);
@@ -225,6 +487,93 @@ class HtmlHighlighter extends EventEmitter {
     return this;
   }
 
+  /**
+   * Find the occurrences of a subject without highlighting them
+   *
+   * The subject may be of any type accepted by `add`.  The document is left unchanged; the text,
+   * global offsets and XPath representation of each occurrence are available through the
+   * `Range` instances returned, which remain valid until the DOM next mutates, e.g. when
+   * highlights are added.  An exception is thrown if the subject is not recognised.
+   *
+   * @param {any} subject - Subject to find
+   * @param {TextFinderOptions} [options] - Text matching options; by default those of the instance
+   * @returns {Array<Range>} Occurrences of the subject in document order
+   */
+  find(subject: any, options: TextFinderOptions = {}): Array<Range> {
+    this.flush_();
+
+    const finder = this.finder_(subject, options);
+    const ranges = [];
+
+    for (let range = finder.next(); range != null; range = finder.next()) {
+      ranges.push(range);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Count the occurrences of a subject without highlighting them
+   *
+   * Equivalent to, but cheaper than, `find(subject, options).length`.
+   *
+   * @param {any} subject - Subject to count
+   * @param {TextFinderOptions} [options] - Text matching options; by default those of the instance
+   * @returns {number} Number of occurrences of the subject
+   */
+  count(subject: any, options: TextFinderOptions = {}): number {
+    this.flush_();
+    return this.finder_(subject, options).count();
+  }
+
+  /**
+   * Highlight the matches of every named capture group of a regular expression in its own query set
+   *
+   * The regular expression is run once over the text and the matches of each named capture group
+   * are added to the query set given by the `groupToQuerySet` map, or to a query set named after
+   * the group if the group is absent from the map.  Query sets that do not yet exist are created;
+   * otherwise the matches are appended to them, in which case the same restrictions as those of
+   * `append` apply.
+   *
+   * Each query set, being a regular query set, gets its own CSS class and is visited by the
+   * cursor.  An exception is thrown if the regular expression contains no named capture groups.
+   *
+   * @param {RegExp} regex - Regular expression containing named capture groups; e.g.
+   * `/(?<person>[A-Z]\w+ [A-Z]\w+)|(?<org>[A-Z]\w+ Corp)/`
+   * @param {PatternOptions} [options] - Map of capture group names to query set names in
+   * `groupToQuerySet` and, in `enabled`, whether query sets are enabled, which they are by default
+   *
+   * @returns {HtmlHighlighter} Self instance for chaining
+   */
+  addPattern(regex: RegExp, options: PatternOptions = {}): HtmlHighlighter {
+    this.flush_();
+
+    const { groupToQuerySet = {}, enabled = true } = options;
+    const targets: Map<string, Map<string, MatchFinder>> = new Map();
+
+    // Groups routed to the same query set are added together so that its highlights get
+    // consecutive ids
+    for (const [group, finder] of MatchFinder.fromPattern(this.content, regex)) {
+      const name = groupToQuerySet[group] != null ? groupToQuerySet[group] : group;
+      const finders = targets.get(name) || new Map();
+      finders.set(group, finder);
+      targets.set(name, finders);
+    }
+
+    for (const [name, finders] of targets) {
+      if (this.queries.has(name)) {
+        this.append(name, Array.from(finders.values()), enabled);
+      } else {
+        this.add(name, Array.from(finders.values()), enabled);
+      }
+
+      // Finders are used up, whereas the query may be run again should the text change
+      this.get_(name).queries.push(...Array.from(finders.keys(), group => ({ regex, group })));
+    }
+
+    return this;
+  }
+
   /**
    * Remove a query set by name
    *
@@ -255,7 +604,7 @@ class HtmlHighlighter extends EventEmitter {
       return this;
     }
 
-    dom.removeClass(dom.getForQuerySet(q.queryId), Css.disabled);
+    this.renderer.enable(q.queryId);
 
     q.enabled = true;
     this.stats.total += q.length;
@@ -279,7 +628,7 @@ class HtmlHighlighter extends EventEmitter {
       return this;
     }
 
-    dom.addClass(dom.getForQuerySet(q.queryId), Css.disabled);
+    this.renderer.disable(q.queryId);
 
     q.enabled = false;
     this.stats.total -= q.length;
@@ -362,6 +711,8 @@ class HtmlHighlighter extends EventEmitter {
    * computed.
    */
   getSelectedRange(): Range | null {
+    this.flush_();
+
     const sel = window.getSelection();
 
     if (!(sel && sel.anchorNode)) {
@@ -466,8 +817,75 @@ class HtmlHighlighter extends EventEmitter {
    * */
   lastIdOf(name: string): number {
     const q = this.get_(name);
-    const l = q.length;
-    return l > 0 ? q.highlightId + l - 1 : -1;
+    if (q.length < 1) {
+      return -1;
+    } else if (q.length === q.allocated) {
+      return q.highlightId + q.length - 1;
+    }
+
+    // Highlights were removed along with the text they highlighted
+    let last = 0;
+    this.highlights.forEach(marker => {
+      if (marker.query === q && marker.index > last) {
+        last = marker.index;
+      }
+    });
+
+    return q.highlightId + last;
+  }
+
+  /**
+   * Return the score of a highlight
+   *
+   * Only highlights produced from approximate matches, such as those of fuzzy subjects, carry a
+   * score.
+   *
+   * @param {number} id - the highlight id.
+   * @returns {number | null} the score of the highlight in the range `[0, 1]` or `null` if the
+   * highlight does not exist or carries no score.
+   * */
+  scoreOf(id: number): number | null {
+    for (const marker of this.highlights) {
+      if (marker.query.highlightId + marker.index === id) {
+        return marker.score;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Return the strategy by which the anchor of a highlight was located
+   *
+   * Only highlights produced from anchors, such as those computed by `Range.toAnchor`, carry a
+   * strategy: one of `xpath`, `offsets`, `quote` or `fuzzy`; refer to `AnchorFinder`.
+   *
+   * @param {number} id - the highlight id.
+   * @returns {AnchorStrategy | null} the strategy or `null` if the highlight does not exist or was
+   * not produced from an anchor.
+   * */
+  strategyOf(id: number): AnchorStrategy | null {
+    for (const marker of this.highlights) {
+      if (marker.query.highlightId + marker.index === id) {
+        return marker.strategy;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Return the elements of a highlight
+   *
+   * Elements are retrieved from the registry kept by the renderer, without querying the document.
+   * Renderers that do not render highlights as elements, such as the `highlight` renderer, return
+   * none.
+   *
+   * @param {number} id - the highlight id.
+   * @returns {Array<HTMLElement>} the elements of the highlight in document order.
+   * */
+  getHighlightElements(id: number): Array<HTMLElement> {
+    return this.renderer.elementsOf(id);
   }
 
   // Private interface
@@ -479,39 +897,43 @@ class HtmlHighlighter extends EventEmitter {
    * @param {Array<any>} queries - array containing the queries to add or append.
    * @param {boolean} enabled - highlights are enabled if `true`;
    * this is the default state.
+   * @param {SyncWindow | null} [within] - portion of the text to search, in which case only the
+   * queries searching the text are run and only hits overlapping changed text highlighted.
    *
    * @returns {number} number of highlights added.
    * */
-  add_queries_(querySet: QuerySet, queries: Array<any>, enabled: boolean): number {
-    const content = this.content;
+  add_queries_(
+    querySet: QuerySet,
+    queries: Array<any>,
+    enabled: boolean,
+    within: SyncWindow | null = null
+  ): number {
     const markers = this.highlights;
     const reserve =
-      querySet.reserve != null && querySet.reserve > 0 ? querySet.reserve - querySet.length : null;
+      querySet.reserve != null && querySet.reserve > 0
+        ? querySet.reserve - querySet.allocated
+        : null;
 
     let count = 0;
     let csscl = null;
 
     if (this.options.useQueryAsClass) {
-      csscl = Css.highlight + '-' + querySet.name;
+      csscl = this.options.namespace + '-' + querySet.name;
     }
 
-    let highlighter = new RangeHighlighter(
-      querySet.queryId,
-      querySet.highlightId + querySet.length,
-      enabled,
-      csscl
-    );
+    const firstId = querySet.highlightId + querySet.allocated;
 
     logger.log(`adding queries for: ${querySet.name}`);
 
     // For each query, perform a lookup in the internal text representation and highlight each hit.
-    // The global offset of each highlight is recorded in the `this.highlights´ array.  The offset
-    // is used by the `Cursor´ class to compute the next/previous highlight to show.
-    queries.forEach((subject: any): void => {
+    // The global offset of each highlight is recorded in the `this.highlights´ array, alongside
+    // its score if the hit is an approximate match.  The offset is used by the `Cursor´ class to
+    // compute the next/previous highlight to show.
+    this.subjectsOf_(queries).forEach((subject: any): void => {
       let hit, finder;
 
       try {
-        finder = constructor.finder(content, subject);
+        finder = within == null ? this.finder_(subject) : this.finder_(subject, {}, within.content);
       } catch (x) {
         logger.exception(
           `subject finder instantiation failed [query=${querySet.name}]: subject:`,
@@ -521,6 +943,15 @@ class HtmlHighlighter extends EventEmitter {
         return;
       }
 
+      if (
+        within != null &&
+        !(finder instanceof TextFinder) &&
+        !(finder instanceof FuzzyFinder) &&
+        !(finder instanceof DictionaryFinder)
+      ) {
+        return;
+      }
+
       logger.log('processing subject:', subject);
 
       // Note: insertion of global offsets to the `this.highlights` array could (should?) be done
@@ -531,7 +962,15 @@ class HtmlHighlighter extends EventEmitter {
           break;
         }
 
-        // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per condition in `while`
+        if (within != null) {
+          // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per condition in `while`
+          hit = this.relocate_(hit, within);
+          if (hit == null) {
+            continue;
+          }
+        }
+
+        // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per conditions above
         const offset = hit.start.marker.offset + hit.start.offset;
         let mid;
         let min = 0;
@@ -549,13 +988,23 @@ class HtmlHighlighter extends EventEmitter {
 
         markers.splice(markers.length > 0 && markers[min].offset < offset ? min + 1 : min, 0, {
           query: querySet,
-          index: count,
+          index: querySet.allocated + count,
           offset: offset,
+          // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per condition in `while` above
+          score: hit.score,
+          // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per condition in `while` above
+          strategy: hit.strategy,
         });
 
         try {
           // $FlowFixMe: dumbo flow! `hit` cannot be `null` as per condition in `while` above
-          highlighter.do(hit);
+          this.renderer.draw(hit, {
+            id: firstId + count,
+            queryId: querySet.queryId,
+            querySet,
+            enabled,
+            cssClass: csscl,
+          });
           ++count;
         } catch (x) {
           logger.exception(`highlighting failed [query=${querySet.name}]: subject:`, subject, x);
@@ -564,10 +1013,12 @@ class HtmlHighlighter extends EventEmitter {
     });
 
     querySet.length += count;
+    querySet.allocated += count;
     if (enabled) {
       this.stats.total += count;
     }
 
+    this.forget_();
     return count;
   }
 
@@ -580,15 +1031,17 @@ class HtmlHighlighter extends EventEmitter {
    * @param {string} name - The name of the query set to remove.
    */
   remove_(name: string): void {
+    this.flush_();
+
     const q = this.get_(name);
     const markers = this.highlights;
-    let unhighlighter = new RangeUnhighlighter();
 
     --this.stats.queries;
     this.stats.total -= q.length;
 
-    for (let i = q.highlightId, l = i + q.length; i < l; ++i) {
-      unhighlighter.undo(i);
+    const fragmented = [];
+    for (let i = q.highlightId, l = i + q.allocated; i < l; ++i) {
+      fragmented.push(...this.renderer.undraw(i));
     }
 
     for (let i = 0; i < markers.length; ) {
@@ -601,17 +1054,212 @@ class HtmlHighlighter extends EventEmitter {
 
     this.queries.delete(name);
 
-    // TODO: Unfortunately, using the built-in `normalize` `HTMLElement` method to normalise text
-    // nodes means we have to refresh the offsets of the text nodes, which may not be desirable.
-    // There must be a better way.
+    // Merge the text nodes split when highlighting, patching the text content in place, so that
+    // ranges within text nodes left untouched, or within the text node a run is merged into,
+    // remain valid.  Ranges within the other text nodes of a merged run refer to detached nodes.
     if (this.options.normalise) {
-      this.options.container.normalize();
-      this.refresh();
+      fragmented.forEach(node => this.content.merge(node));
     }
 
+    this.forget_();
     this.assert_();
   }
 
+  /**
+   * Instantiate the finder of a subject
+   *
+   * Throws an exception if the subject is not recognised.
+   * @access private
+   *
+   * @param {any} subject - Subject to find
+   * @param {TextFinderOptions} [options] - Text matching options overriding those of the instance
+   * @param {TextContent} [content] - Text content to search; that of the instance by default
+   * @returns {Finder} Finder instance
+   */
+  finder_(
+    subject: any,
+    options: TextFinderOptions = {},
+    content: TextContent = this.content
+  ): Finder {
+    const { ignoreWhitespace, fold, withinBlocks, blockSpacing, rendered } = this.options;
+    return constructor.finder(
+      content,
+      subject,
+      merge({ ignoreWhitespace, fold, withinBlocks, blockSpacing, rendered }, options)
+    );
+  }
+
+  /**
+   * Combine the plain string queries of a query set into a single dictionary subject
+   *
+   * Only done when the `dictionary` option is set, in which case two or more plain strings are
+   * matched by a `DictionaryFinder` in a single pass over the text, rather than one pass per
+   * string, with overlapping occurrences of different strings resolved in favour of the leftmost
+   * and longest.  Strings are left as is when the `ignoreWhitespace` option is set, since
+   * dictionaries match whitespace literally.
+   * @access private
+   *
+   * @param {Array<any>} queries - Queries of the query set
+   * @returns {Array<any>} Subjects to find, in place of `queries`
+   */
+  subjectsOf_(queries: Array<any>): Array<any> {
+    const isString = query => typeof query === 'string' && query.length > 0;
+    const terms = queries.filter(isString);
+    if (!this.options.dictionary || terms.length < 2 || this.options.ignoreWhitespace) {
+      return queries;
+    }
+
+    // The dictionary subject takes the place of the first string
+    const first = queries.findIndex(isString);
+    const subjects = queries.filter(query => !isString(query));
+    subjects.splice(first, 0, { terms });
+    return subjects;
+  }
+
+  /**
+   * Reflect mutations of the container in the text content and highlights
+   *
+   * Invoked in `observe` mode with the records produced by the mutation observer.  The text content
+   * is patched, highlights starting within removed text removed and the offsets of the others
+   * shifted.  The queries searching the text, such as strings, query objects, regular expressions,
+   * dictionaries and fuzzy subjects, are then run again over the blocks containing the changed
+   * text, with highlights only created for hits overlapping it; other queries, e.g. XPath
+   * representations or `Finder` instances, designate fixed portions of the text and are not run
+   * again.  New highlights can only be added to query sets with enough reserve available, or to the
+   * last query set created.  Finally, a `contentchange` event is emitted for every change made to
+   * the text content, with a `ContentChange` descriptor.
+   * @access private
+   *
+   * @param {Array<MutationRecord>} records - Mutation records
+   */
+  sync_(records: Array<MutationRecord>): void {
+    const changes = records.length > 0 ? this.content.patch(records) : [];
+    if (changes.length < 1) {
+      return;
+    }
+
+    let changed: Array<RangeOffsetDescriptor> = [];
+    const removed = [];
+    for (const change of changes) {
+      const { start, end } = change;
+      const stop = start + change.removed;
+      const shift = offset =>
+        offset >= stop ? offset + end - start - change.removed : Math.min(offset, start);
+
+      this.highlights = this.highlights.filter(marker => {
+        if (marker.offset >= start && marker.offset < stop) {
+          removed.push(marker);
+          return false;
+        }
+
+        marker.offset = shift(marker.offset);
+        return true;
+      });
+
+      changed = changed.map(range => ({ start: shift(range.start), end: shift(range.end) }));
+      changed.push({ start, end });
+    }
+
+    this.unsync_(removed);
+
+    for (const { start, end, ranges } of windowsOf(this.content, changed)) {
+      for (const querySet of this.queries.values()) {
+        const last = querySet.highlightId + querySet.allocated === this.lastId;
+        if (querySet.reserve == null && !last) {
+          logger.warn(`insufficient reserve to highlight changed text [query=${querySet.name}]`);
+          continue;
+        }
+
+        // Text nodes are split as hits are highlighted and so the copy of the text content is made
+        // anew for every query set
+        const within = { content: this.content.slice(start, end), offset: start, ranges };
+        const count = this.add_queries_(querySet, querySet.queries, querySet.enabled, within);
+        if (querySet.reserve == null) {
+          this.lastId += count;
+        }
+      }
+    }
+
+    this.cursor.clear();
+    this.assert_();
+    changes.forEach((change: ContentChange) => this.emit('contentchange', change));
+  }
+
+  /**
+   * Relocate a hit found in a portion of the text to the text content of the instance
+   * @access private
+   *
+   * @param {Range} hit - Hit found in the copy of the text content of the portion of the text
+   * @param {SyncWindow} within - Portion of the text
+   * @returns {Range | null} Hit in the text content of the instance or `null` if the hit does not
+   * overlap changed text
+   */
+  relocate_(hit: Range, within: SyncWindow): Range | null {
+    const offsets = hit.computeOffsets();
+    const start = offsets.start + within.offset;
+    const end = offsets.end + within.offset;
+    if (!within.ranges.some(range => overlaps(range, start, end))) {
+      return null;
+    }
+
+    const range = new OffsetFinder(this.content, { start, end }).next();
+    if (range != null) {
+      range.score = hit.score;
+      range.strategy = hit.strategy;
+    }
+
+    return range;
+  }
+
+  /**
+   * Remove highlights whose text was removed from the text content
+   *
+   * Elements of the highlights that are still part of the document are undrawn.  The ids of the
+   * highlights are not reused.
+   * @access private
+   *
+   * @param {Array<Marker>} markers - Markers of the highlights, no longer in `this.highlights`
+   */
+  unsync_(markers: Array<Marker>): void {
+    const fragmented = [];
+    markers.forEach(marker => {
+      const { query } = marker;
+      fragmented.push(...this.renderer.undraw(query.highlightId + marker.index));
+      --query.length;
+      if (query.enabled) {
+        --this.stats.total;
+      }
+    });
+
+    if (this.options.normalise) {
+      fragmented.forEach(node => this.content.merge(node));
+    }
+
+    this.forget_();
+  }
+
+  /**
+   * Reflect pending mutations of the container, if observed, before the DOM is mutated or the text
+   * content searched
+   * @access private
+   */
+  flush_(): void {
+    if (this.observer != null) {
+      this.sync_(this.observer.takeRecords());
+    }
+  }
+
+  /**
+   * Discard pending mutations of the container, if observed, after the DOM is mutated by the
+   * instance itself
+   * @access private
+   */
+  forget_(): void {
+    if (this.observer != null) {
+      this.observer.takeRecords();
+    }
+  }
+
   /**
    * Safely retrieve a query set's descriptor
    *
@@ -645,7 +1293,7 @@ class HtmlHighlighter extends EventEmitter {
 
     k = 0;
     this.highlights.forEach(function(i) {
-      if (i.offset < c || i.index >= i.query.length) {
+      if (i.offset < c || i.index >= i.query.allocated) {
         throw new Error('Invalid state: highlight out of position');
       }
 
@@ -8,11 +8,31 @@ import * as ops from '../test/operations';
 import { counts } from '../test/tests';
 import * as attest from '../test/attest';
 
+import TextFinder from './textfinder';
+import AnchorFinder from './anchorfinder';
+import TextNodeXpath from './textnodexpath';
+import TextContent from './textcontent';
+import * as constructor from './constructor';
+import HtmlHighlighter from './htmlhighlighter';
+import CustomHighlightRenderer from './customhighlightrenderer';
+import * as dom from './dom';
+
 const { assert } = chai;
 
 let hl;
 let is;
 
+// Initialise an instance before each test, from the given fixture and options, and destroy it after
+function initEach(...args) {
+  beforeEach('initialise state', function() {
+    hl = instance.init(...args);
+  });
+
+  afterEach('destroy state', function() {
+    hl = null;
+  });
+}
+
 // Test specifications
 describe('HTML Highlighter', function() {
   describeGeneralTests();
@@ -20,6 +40,24 @@ describe('HTML Highlighter', function() {
   describeTextSelectionTests();
   describeXpathTests();
   describeSpecialCharacterHandlingTests();
+  describeTextMatchingOptionsTests();
+  describeFuzzyMatchingTests();
+  describePatternTests();
+  describeSelectorTests();
+  describeOffsetTests();
+  describeTextQuoteTests();
+  describeAnchorTests();
+  describeFinderRegistryTests();
+  describeDictionaryTests();
+  describeExclusionTests();
+  describeShadowDomTests();
+  describeInstanceScopeTests();
+  describeRendererTests();
+  describeElementFactoryTests();
+  describeSearchTests();
+  describeObserveTests();
+  describeTextContentTests();
+  describeRegistryTests();
 
   try {
     describeFullDocumentTests();
@@ -103,6 +141,51 @@ function describeGeneralTests() {
       attest.clear();
     });
 
+    it('leaves the DOM normalised on removal', function() {
+      const container = instance.get('container');
+      const pristine = container.cloneNode(true);
+      const content = hl.content;
+      hl.add('test-the', ['the']).add('test-viber', ['viber']);
+
+      hl.remove('test-the');
+      const normalised = container.cloneNode(true);
+      normalised.normalize();
+      assert.isTrue(container.isEqualNode(normalised));
+
+      hl.remove('test-viber');
+      assert.isTrue(container.isEqualNode(pristine));
+      assert.strictEqual(hl.content, content);
+      assert.deepEqual(content.markers, new TextContent(container).markers);
+      content.assert();
+    });
+
+    it('leaves the DOM normalised on removal of overlapping highlights', function() {
+      hl = instance.init(8);
+      const container = instance.get('container');
+      const pristine = container.cloneNode(true);
+      hl.add('test-acme', ['Acme Corp']).add('test-corp', ['Corp']);
+
+      hl.remove('test-acme');
+      attest.totalHighlights(2, 1);
+      const normalised = container.cloneNode(true);
+      normalised.normalize();
+      assert.isTrue(container.isEqualNode(normalised));
+
+      hl.remove('test-corp');
+      assert.isTrue(container.isEqualNode(pristine));
+      assert.deepEqual(hl.content.markers, new TextContent(container).markers);
+    });
+
+    it('keeps ranges preceding removed highlights valid', function() {
+      hl = instance.init(8);
+      hl.add('test-corp', ['Corp']);
+      const range = hl.find('Alice')[0];
+
+      hl.remove('test-corp');
+      assert.strictEqual(range.text(), 'Alice');
+      assert.strictEqual(range.computeXpath().start.xpath, '/p[2]/text()[1]');
+    });
+
     it('clears state when only one query set exists', function() {
       hl.add('test-the', ['the']);
       attest.totalHighlights(counts.the, 1);
@@ -758,6 +841,1836 @@ function describeSpecialCharacterHandlingTests() {
   });
 }
 
+function describeTextMatchingOptionsTests() {
+  describe('Text matching options', function() {
+    afterEach('destroy state', function() {
+      hl = null;
+    });
+
+    describe('Whitespace', function() {
+      it('matches whitespace literally by default', function() {
+        hl = instance.init(5);
+        hl.add('test-ipsum', ['ipsum dolor', 'consectetur adipiscing']);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'ipsum dolor');
+      });
+
+      it('ignores whitespace differences when enabled per instance', function() {
+        hl = instance.init(5, { ignoreWhitespace: true });
+        hl.add('test-ipsum', ['ipsum dolor']);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'ipsum\n\tdolor');
+        attest.highlight(1, 'ipsum dolor');
+
+        hl.add('test-consectetur', ['consectetur adipiscing']);
+        attest.totalHighlights(4, 2);
+        attest.highlight(2, 'consectetur   adipiscing');
+        attest.highlight(3, 'consectetur\t\tadipiscing');
+      });
+
+      it('ignores whitespace differences when enabled per query', function() {
+        hl = instance.init(5);
+        hl.add('test-sit', [{ text: 'sit amet', ignoreWhitespace: true }]);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'sit amet');
+        attest.highlight(1, 'sit\namet');
+      });
+
+      it('lets a query override the instance option', function() {
+        hl = instance.init(5, { ignoreWhitespace: true });
+        hl.add('test-sit', [{ text: 'sit amet', ignoreWhitespace: false }]);
+        attest.totalHighlights(1, 1);
+      });
+
+      it('highlights whitespace-spanning text from XPath representation', function() {
+        hl = instance.init(5, { ignoreWhitespace: true });
+        hl.add('test-sit', ['sit amet']);
+        hl.remove('test-sit');
+        ops.highlight('whitespace');
+        attest.totalHighlights(1, 1);
+      });
+    });
+
+    describe('Folding', function() {
+      it('matches code units literally by default', function() {
+        hl = instance.init(6);
+        hl.add('test-zurich', ['Zurich']);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'Zurich');
+      });
+
+      it('matches regardless of diacritics when enabled per instance', function() {
+        hl = instance.init(6, { fold: true });
+        hl.add('test-zurich', ['Zurich']);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, 'Z\u00fcrich');
+        attest.highlight(1, 'Zu\u0308rich');
+        attest.highlight(2, 'Zurich');
+      });
+
+      it('matches regular expressions against the text itself', function() {
+        hl = instance.init(6, { fold: true });
+        hl.add('test-zurich', [/Z\u00fcrich/, { regex: /(Zurich)/, group: 1 }]);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'Z\u00fcrich');
+        attest.highlight(1, 'Zurich');
+      });
+
+      it('matches regardless of normalisation form when enabled per query', function() {
+        hl = instance.init(6);
+        hl.add('test-cafe', [{ text: 'caf\u00e9', fold: true }]);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, 'caf\u00e9');
+        attest.highlight(1, 'cafe\u0301');
+        attest.highlight(2, 'cafe');
+      });
+
+      it('computes XPath representations of folded hits', function() {
+        hl = instance.init(6);
+        const finder = new TextFinder(hl.content, 'cafe', { fold: true });
+        finder.next();
+        assert.deepEqual(finder.next().computeXpath(), {
+          start: { xpath: '/p[2]/em[1]/text()[1]', offset: 0 },
+          end: { xpath: '/p[2]/em[1]/text()[1]', offset: 5 },
+        });
+      });
+    });
+
+    describe('Whole words and case sensitivity', function() {
+      initEach(7);
+
+      it('matches within words and ignores case by default', function() {
+        hl.add('test-art', ['art']);
+        attest.totalHighlights(3, 1);
+      });
+
+      it('matches whole words only', function() {
+        hl.add('test-art', [{ text: 'art', wholeWord: true }]);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'art');
+        attest.highlight(1, 'Art');
+      });
+
+      it('matches case sensitively', function() {
+        hl.add('test-art', [{ text: 'Art', caseSensitive: true }]);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'Art');
+      });
+
+      it('matches whole words case sensitively', function() {
+        hl.add('test-art', [{ text: 'art', wholeWord: true, caseSensitive: true }]);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'art');
+      });
+
+      it('honours word boundaries of non-Latin scripts', function() {
+        hl.add('test-kot', ['\u043a\u043e\u0442']);
+        attest.totalHighlights(3, 1);
+
+        hl.add('test-kot', [{ text: '\u043a\u043e\u0442', wholeWord: true }]);
+        attest.totalHighlights(1, 1);
+        attest.highlight(hl.lastIdOf('test-kot'), '\u041a\u043e\u0442');
+      });
+
+      it('mixes plain strings and query objects', function() {
+        hl.add('test-mixed', ['technica', { text: 'art', wholeWord: true, caseSensitive: true }]);
+        attest.totalHighlights(2, 1);
+      });
+    });
+
+    describe('Block boundaries', function() {
+      initEach(10);
+
+      it('matches across block boundaries by default', function() {
+        hl.add('test-blocks', ['paragraphNext', 'oneCell', 'oneLine']);
+        attest.totalHighlights(3, 1);
+      });
+
+      it('records block boundaries', function() {
+        const { content } = hl;
+        const offset = content.text.indexOf('Next');
+        assert.include(content.boundaries, offset);
+        assert.isTrue(content.crossesBoundary(offset - 1, 2));
+        assert.isFalse(content.crossesBoundary(offset, 4));
+        assert.isFalse(content.crossesBoundary(offset - 9, 9));
+      });
+
+      it('does not match across block boundaries', function() {
+        hl = instance.init(10, { withinBlocks: true });
+        hl.add('test-blocks', ['paragraphNext', 'oneCell', 'oneLine', 'Line two', 'heading']);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'Line two');
+        attest.highlight(1, 'heading');
+      });
+
+      it('matches virtual whitespace at block boundaries', function() {
+        hl = instance.init(10, { blockSpacing: true });
+        hl.add('test-blocks', ['paragraph Next', 'one Cell two', 'one Line']);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, 'paragraphNext');
+        attest.highlight(1, 'oneCell two');
+        attest.highlight(2, 'oneLine');
+      });
+
+      it('does not shift offsets with virtual whitespace', function() {
+        const { text } = hl.content;
+        const range = new TextFinder(hl.content, {
+          text: 'paragraph Next',
+          blockSpacing: true,
+        }).next();
+        const start = text.indexOf('paragraphNext');
+        assert.deepEqual(range.computeOffsets(), { start, end: start + 13 });
+        hl.add('test-blocks', [range.computeXpath()]);
+        attest.highlight(0, 'paragraphNext');
+      });
+
+      it('combines virtual whitespace with other options', function() {
+        hl = instance.init(10, { blockSpacing: true, ignoreWhitespace: true, withinBlocks: true });
+        hl.add('test-blocks', ['paragraph   Next', 'Line\ttwo']);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'Line two');
+      });
+    });
+
+    describe('Rendered text', function() {
+      initEach(12, { rendered: true });
+
+      it('projects the text as rendered', function() {
+        assert.strictEqual(
+          hl.content.getRendered().text,
+          'Hello big world\nSHOUT HERE\nkeep   spaces\nTitle Case Words\nLine one\nline two'
+        );
+      });
+
+      it('matches collapsed whitespace', function() {
+        hl.add('test-rendered', ['Hello big world', 'keep spaces', 'keep   spaces']);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'Hello   big\n   world');
+        attest.highlight(1, 'keep   spaces');
+      });
+
+      it('matches transformed text', function() {
+        hl.add('test-rendered', [
+          { text: 'SHOUT HERE', caseSensitive: true },
+          { text: 'Title Case', caseSensitive: true },
+          { text: 'shout', caseSensitive: true },
+        ]);
+        attest.totalHighlights(2, 1);
+        attest.highlight(0, 'shout here');
+        attest.highlight(1, 'title case');
+      });
+
+      it('matches line breaks at block boundaries', function() {
+        hl.add('test-rendered', [{ text: 'one line', ignoreWhitespace: true }]);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, 'one  line');
+      });
+
+      it('refers to the real text nodes', function() {
+        const range = new TextFinder(hl.content, { text: 'big world', rendered: true }).next();
+        const xpath = range.computeXpath();
+        hl = instance.init(12);
+        hl.add('test-xpath', [xpath]);
+        attest.highlight(0, 'big\n   world');
+      });
+    });
+
+    describe('Capture groups', function() {
+      initEach(8);
+
+      it('highlights a numbered capture group', function() {
+        hl.add('test-cve', [{ regex: /CVE-\d+-(\d+)/, group: 1 }]);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, '5638');
+        attest.highlight(1, '11776');
+        attest.highlight(2, '0160');
+      });
+
+      it('highlights a named capture group', function() {
+        hl.add('test-cve', [{ regex: /CVE-(?<year>\d+)-\d+/g, group: 'year' }]);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, '2017');
+        attest.highlight(1, '2018');
+        attest.highlight(2, '2014');
+      });
+
+      it('highlights the whole match when no group is given', function() {
+        hl.add('test-cve', [{ regex: /CVE-\d+-(\d+)/ }]);
+        attest.totalHighlights(3, 1);
+        attest.highlight(0, 'CVE-2017-5638');
+      });
+
+      it('skips non-participating capture groups', function() {
+        hl.add('test-cve', [{ regex: /CVE-\d+-\d+( in)?/, group: 1 }]);
+        attest.totalHighlights(1, 1);
+        attest.highlight(0, ' in');
+      });
+
+      it('skips zero-length capture groups', function() {
+        hl.add('test-cve', [{ regex: /CVE-\d+-\d+(x?)/, group: 1 }]);
+        assert.strictEqual(hl.stats.total, 0);
+      });
+
+      it('rejects non-existent capture groups', function() {
+        assert.throws(() => new TextFinder(hl.content, { regex: /CVE-(\d+)/, group: 2 }));
+        assert.throws(() => new TextFinder(hl.content, { regex: /CVE-(\d+)/, group: 'year' }));
+      });
+
+      it('matches non-global regular expressions', function() {
+        hl.add('test-struts', [/struts/i]);
+        attest.totalHighlights(1, 1);
+      });
+    });
+  });
+}
+
+function describeFuzzyMatchingTests() {
+  describe('Fuzzy matching', function() {
+    initEach();
+
+    it('finds exact matches', function() {
+      hl.add('test-viber', [{ fuzzy: 'viber', distance: 0 }]);
+      attest.totalHighlights(counts.viber, 1);
+      assert.strictEqual(hl.scoreOf(0), 1);
+    });
+
+    it('finds approximate matches within the edit distance', function() {
+      hl.add('test-sea', [{ fuzzy: 'Syrain Electronc Army', distance: 3 }]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, 'Syrian Electronic Army');
+      attest.highlight(1, 'Syrian Electronic Army');
+      assert.strictEqual(hl.scoreOf(0), 1 - 3 / 21);
+    });
+
+    it('finds no matches beyond the edit distance', function() {
+      hl.add('test-sea', [{ fuzzy: 'Syrain Electronc Army', distance: 2 }]);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('retains the best of overlapping matches', function() {
+      hl.add('test-viber', [{ fuzzy: 'viber', distance: 1 }]);
+      attest.highlight(0, 'Viber');
+      assert.strictEqual(hl.scoreOf(0), 1);
+    });
+
+    it('scores exact matches of other query types as null', function() {
+      hl.add('test-viber', ['viber']);
+      assert.strictEqual(hl.scoreOf(0), null);
+    });
+  });
+}
+
+function describePatternTests() {
+  describe('Patterns', function() {
+    const pattern = /(?<org>[A-Z]\w+ Corp)|(?<person>(?:Alice|Bob|Carol) [A-Z]\w+)/;
+
+    initEach(8);
+
+    it('creates a query set per named capture group', function() {
+      hl.addPattern(pattern);
+      attest.totalHighlights(5, 2);
+      assert.strictEqual(hl.queries.get('org').length, 2);
+      assert.strictEqual(hl.queries.get('person').length, 3);
+      attest.highlight(hl.queries.get('org').highlightId, 'Acme Corp');
+      attest.highlight(hl.queries.get('person').highlightId, 'Alice Smith');
+    });
+
+    it('routes capture groups to the given query sets', function() {
+      hl.addPattern(pattern, { groupToQuerySet: { person: 'people' } });
+      attest.totalHighlights(5, 2);
+      assert.ok(hl.queries.has('org'));
+      assert.ok(hl.queries.has('people'));
+      assert.notOk(hl.queries.has('person'));
+    });
+
+    it('appends to existing query sets', function() {
+      hl.add('org', ['Struts'], true, 10);
+      hl.addPattern(pattern);
+      attest.totalHighlights(6, 2);
+      assert.strictEqual(hl.queries.get('org').length, 3);
+    });
+
+    it('allots unique ids to groups routed to the same query set', function() {
+      hl.addPattern(pattern, { groupToQuerySet: { org: 'ents', person: 'ents' } });
+      hl.add('test-struts', ['Struts']);
+      attest.totalHighlights(6, 2);
+      assert.strictEqual(hl.queries.get('ents').length, 5);
+      assert.strictEqual(hl.lastIdOf('ents'), 4);
+      assert.strictEqual(hl.queries.get('test-struts').highlightId, 5);
+      attest.highlight(5, 'Struts');
+    });
+
+    it('allots unique ids to groups appended to the last query set', function() {
+      hl.add('org', ['Struts']);
+      hl.addPattern(pattern);
+      hl.add('test-initech', ['Initech']);
+      const ids = hl.highlights.map(marker => marker.query.highlightId + marker.index);
+      assert.lengthOf(ids, 7);
+      assert.strictEqual(new Set(ids).size, 7);
+    });
+
+    it('creates disabled query sets', function() {
+      hl.addPattern(pattern, { enabled: false });
+      assert.strictEqual(hl.stats.total, 0);
+      assert.strictEqual(hl.stats.queries, 2);
+    });
+
+    it('rejects regular expressions without named capture groups', function() {
+      assert.throws(() => hl.addPattern(/([A-Z]\w+) Corp/));
+    });
+  });
+}
+
+function describeSelectorTests() {
+  describe('CSS selectors', function() {
+    initEach(8);
+
+    it('highlights the entire text of matching elements', function() {
+      hl.add('test-p', [{ selector: 'p' }]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, ops.textOf(instance.querySelectorAll('p')[0]));
+      attest.highlight(1, ops.textOf(instance.querySelectorAll('p')[1]));
+    });
+
+    it('highlights nested matching elements', function() {
+      hl.add('test-p-em', [{ selector: 'p, em' }]);
+      attest.totalHighlights(3, 1);
+      attest.highlight(1, 'Struts');
+    });
+
+    it('spans the text of matching elements not excluded', function() {
+      instance.get('container').innerHTML =
+        '<blockquote>Quoted text<script>var x;</script></blockquote>' +
+        '<div class="q"><style>.a{}</style>Other</div>';
+      hl.refresh();
+      hl.add('test-quote', [{ selector: 'blockquote, .q' }]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, 'Quoted text');
+      attest.highlight(1, 'Other');
+    });
+
+    it('takes part in cursor movement', function() {
+      hl.add('test-em', [{ selector: 'em' }]);
+      hl.add('test-cve', ['CVE']);
+      attest.totalHighlights(4, 2);
+      hl.next();
+      attest.cursor(0);
+      hl.next();
+      hl.next();
+      attest.cursor(2);
+      attest.currentHighlight(0);
+    });
+
+    it('removes highlights of matching elements', function() {
+      hl.add('test-p', [{ selector: 'p' }]);
+      hl.remove('test-p');
+      attest.clear();
+    });
+
+    it('rejects unrecognised subjects', function() {
+      assert.throws(() => constructor.finder(hl.content, { foo: 'bar' }), /Unrecognised/);
+      assert.throws(() => constructor.finder(hl.content, { start: { xpath: '/p[1]' } }));
+    });
+  });
+}
+
+function describeOffsetTests() {
+  describe('Character offsets', function() {
+    initEach(0);
+
+    it('computes offsets of a range', function() {
+      const range = new TextFinder(hl.content, 'viber').next();
+      const offsets = range.computeOffsets();
+      assert.strictEqual(offsets.end - offsets.start, 5);
+      assert.strictEqual(
+        hl.content.text.substring(offsets.start, offsets.end).toLowerCase(),
+        'viber'
+      );
+    });
+
+    it('highlights text from offsets', function() {
+      const offsets = new TextFinder(hl.content, 'viber').next().computeOffsets();
+      hl.add('test-offsets', [offsets]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, hl.content.text.substring(offsets.start, offsets.end));
+    });
+
+    it('highlights offsets spanning several elements', function() {
+      hl = instance.init(8);
+      hl.add('test-offsets', [{ start: 24, end: 52 }]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'CVE-2018-11776 in Struts; se');
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight-id-0'), 3);
+    });
+
+    it('rejects invalid offsets', function() {
+      const { content } = hl;
+      const length = content.text.length;
+      const create = offsets => () => constructor.finder(content, offsets);
+      assert.throws(create({ start: -1, end: 5 }), /Invalid offsets/);
+      assert.throws(create({ start: 0, end: length + 1 }), /Invalid offsets/);
+      assert.throws(create({ start: 5, end: 5 }), /start >= end/);
+      assert.throws(create({ start: 0.5, end: 5 }), /Invalid offsets/);
+    });
+  });
+}
+
+function describeTextQuoteTests() {
+  describe('Text quote selectors', function() {
+    const quote = (exact, prefix, suffix) => ({ type: 'TextQuoteSelector', exact, prefix, suffix });
+    const offsetOf = subject =>
+      constructor
+        .finder(hl.content, subject)
+        .next()
+        .computeOffsets();
+
+    initEach(9);
+
+    it('selects the occurrence whose context matches best', function() {
+      const { text } = hl.content;
+      const last = text.lastIndexOf('quick fox');
+      assert.strictEqual(offsetOf(quote('quick fox')).start, text.indexOf('quick fox'));
+      assert.strictEqual(offsetOf(quote('quick fox', 'The ', ' sleeps')).start, 25);
+      assert.strictEqual(offsetOf(quote('quick fox', 'sleeps.The ', ' jumps')).start, last);
+      assert.strictEqual(offsetOf(quote('quick fox', 'xxx', ' jumps again')).start, last);
+    });
+
+    it('highlights the selected occurrence', function() {
+      hl.add('test-quote', [quote('quick fox', 'The ', ' sleeps')]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'quick fox');
+    });
+
+    it('produces no match when the exact text is absent', function() {
+      hl.add('test-quote', [quote('slow fox', 'The ', ' jumps')]);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('generates selectors that identify each occurrence', function() {
+      const finder = new TextFinder(hl.content, 'quick fox');
+      const selectors = [];
+      for (let range = finder.next(); range !== null; range = finder.next()) {
+        const selector = range.toTextQuoteSelector();
+        assert.strictEqual(selector.exact, 'quick fox');
+        assert.deepEqual(offsetOf(selector), range.computeOffsets());
+        selectors.push(selector);
+      }
+
+      assert.lengthOf(selectors, 3);
+      assert.deepEqual(selectors[0], quote('quick fox', 'The ', ' jumps.'));
+    });
+
+    it('extends the context past the start or end of the text', function() {
+      instance.get('container').innerHTML = '<p>cabxcab</p>';
+      hl.refresh();
+      const finder = new TextFinder(hl.content, 'ab');
+      for (let range = finder.next(); range !== null; range = finder.next()) {
+        assert.deepEqual(offsetOf(range.toTextQuoteSelector()), range.computeOffsets());
+      }
+
+      const last = new TextFinder(hl.content, 'ab');
+      last.next();
+      assert.deepEqual(last.next().toTextQuoteSelector(), quote('ab', 'xc', ''));
+    });
+
+    it('generates selectors without context for unique text', function() {
+      const range = new TextFinder(hl.content, 'sleeps').next();
+      assert.deepEqual(range.toTextQuoteSelector(), quote('sleeps', '', ''));
+    });
+  });
+}
+
+function describeAnchorTests() {
+  describe('Anchors', function() {
+    const anchorOf = text => new TextFinder(hl.content, text).next().toAnchor();
+    const mutate = html => {
+      instance.get('container').innerHTML = html;
+      hl.refresh();
+    };
+
+    initEach(9);
+
+    it('resolves intact anchors from their XPath', function() {
+      const anchor = anchorOf('fox sleeps');
+      const finder = new AnchorFinder(hl.content, anchor);
+      assert.strictEqual(finder.strategy, 'xpath');
+      assert.deepEqual(finder.next().computeOffsets(), anchor.offsets);
+    });
+
+    it('falls back to offsets when the markup changes', function() {
+      const anchor = anchorOf('fox sleeps');
+      mutate(hl.content.root.innerHTML.replace('<em>quick</em>', 'quick'));
+      const finder = new AnchorFinder(hl.content, anchor);
+      assert.strictEqual(finder.strategy, 'offsets');
+      assert.deepEqual(finder.next().computeOffsets(), anchor.offsets);
+    });
+
+    it('falls back to the quote when the text moves', function() {
+      const anchor = anchorOf('fox sleeps');
+      mutate('<p>Intro.</p>' + hl.content.root.innerHTML);
+      const finder = new AnchorFinder(hl.content, anchor);
+      assert.strictEqual(finder.strategy, 'quote');
+      assert.strictEqual(finder.next().computeOffsets().start, anchor.offsets.start + 6);
+    });
+
+    it('falls back to fuzzy matching when the text changes', function() {
+      const anchor = anchorOf('fox sleeps');
+      mutate(hl.content.root.innerHTML.replace('fox sleeps', 'fix sleeps'));
+      const finder = new AnchorFinder(hl.content, anchor);
+      assert.strictEqual(finder.strategy, 'fuzzy');
+      const range = finder.next();
+      assert.isBelow(range.score, 1);
+      hl.add('test-anchor', [anchor]);
+      attest.highlight(0, 'fix sleeps');
+    });
+
+    it('picks between fuzzy matches by the quote context', function() {
+      const quote = { type: 'TextQuoteSelector', exact: 'quick fox jumps', prefix: 'The ' };
+      mutate(hl.content.root.innerHTML.replace(/fox jumps/g, 'fix jumps'));
+      const finder = new AnchorFinder(hl.content, { quote: { ...quote, suffix: ' again' } });
+      assert.strictEqual(finder.strategy, 'fuzzy');
+      assert.strictEqual(
+        finder.next().computeOffsets().start,
+        hl.content.text.lastIndexOf('quick')
+      );
+      const other = new AnchorFinder(hl.content, { quote: { ...quote, suffix: '. The' } });
+      assert.strictEqual(other.next().computeOffsets().start, hl.content.text.indexOf('quick'));
+    });
+
+    it('prefers approximate matches near the anchor offsets', function() {
+      const anchor = anchorOf('fox sleeps');
+      const html = hl.content.root.innerHTML.replace('fox sleeps', 'fix sleeqs');
+      mutate(`${html}<p>${'Padding. '.repeat(500)}fox sleeqs</p>`);
+      const range = new AnchorFinder(hl.content, anchor).next();
+      assert.strictEqual(range.strategy, 'fuzzy');
+      assert.strictEqual(range.computeOffsets().start, hl.content.text.indexOf('fix sleeqs'));
+    });
+
+    it('matches approximately far from the anchor offsets as a last resort', function() {
+      const anchor = anchorOf('fox sleeps');
+      const html = hl.content.root.innerHTML.replace('fox sleeps', 'fix sleeps');
+      mutate(`<p>${'Padding. '.repeat(500)}</p>${html}`);
+      const range = new AnchorFinder(hl.content, anchor).next();
+      assert.strictEqual(range.strategy, 'fuzzy');
+      assert.strictEqual(range.computeOffsets().start, hl.content.text.indexOf('fix sleeps'));
+    });
+
+    it('reports the strategy of highlights and found ranges', function() {
+      const anchor = anchorOf('fox sleeps');
+      mutate('<p>Intro.</p>' + hl.content.root.innerHTML);
+      assert.strictEqual(hl.find(anchor)[0].strategy, 'quote');
+      hl.add('test-anchor', [anchor]);
+      hl.add('test-fox', ['fox']);
+      assert.strictEqual(hl.strategyOf(0), 'quote');
+      assert.isNull(hl.strategyOf(1));
+      assert.isNull(hl.strategyOf(10));
+    });
+
+    it('reports orphaned anchors', function() {
+      const anchor = anchorOf('fox sleeps');
+      mutate('<p>Something else entirely.</p>');
+      const finder = new AnchorFinder(hl.content, anchor);
+      assert.isNull(finder.strategy);
+      assert.isNull(finder.next());
+      hl.add('test-anchor', [anchor]);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+  });
+}
+
+function describeFinderRegistryTests() {
+  describe('Finder registry', function() {
+    const company = {
+      isSubject: subject => subject != null && typeof subject.company === 'string',
+      create: (content, subject) => new TextFinder(content, `${subject.company} Corp`),
+    };
+
+    initEach(8);
+
+    afterEach('destroy state', function() {
+      HtmlHighlighter.unregisterFinder('company');
+      HtmlHighlighter.unregisterFinder('ticker');
+    });
+
+    it('dispatches recognised subjects to registered finders', function() {
+      HtmlHighlighter.registerFinder('company', company);
+      hl.add('test-company', [{ company: 'Acme' }, { company: 'Initech' }]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, 'Acme Corp');
+      attest.highlight(1, 'Initech Corp');
+    });
+
+    it('dispatches by priority', function() {
+      HtmlHighlighter.registerFinder('ticker', {
+        isSubject: subject => typeof subject === 'string' && subject[0] === '$',
+        create: (content, subject) => new TextFinder(content, subject.substring(1)),
+        priority: 100,
+      });
+      hl.add('test-ticker', ['$Acme']);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'Acme');
+    });
+
+    it('replaces and unregisters finders by name', function() {
+      HtmlHighlighter.registerFinder('company', company);
+      HtmlHighlighter.registerFinder('company', {
+        isSubject: company.isSubject,
+        create: (content, subject) => new TextFinder(content, subject.company),
+      });
+      hl.add('test-company', [{ company: 'Acme' }]);
+      attest.highlight(0, 'Acme');
+      assert.isTrue(HtmlHighlighter.unregisterFinder('company'));
+      assert.isFalse(HtmlHighlighter.unregisterFinder('company'));
+      assert.throws(() => constructor.finder(hl.content, { company: 'Acme' }), /Unrecognised/);
+    });
+
+    it('rejects invalid registrations', function() {
+      assert.throws(() => HtmlHighlighter.registerFinder('company', { isSubject: () => true }));
+    });
+  });
+}
+
+function describeDictionaryTests() {
+  describe('Dictionaries', function() {
+    initEach(8);
+
+    it('matches all terms in document order', function() {
+      hl.add('test-dictionary', [{ terms: ['white', 'alice', 'Initech'] }]);
+      attest.totalHighlights(3, 1);
+      attest.highlight(0, 'Alice');
+      attest.highlight(1, 'Initech');
+      attest.highlight(2, 'White');
+    });
+
+    it('resolves overlapping matches longest-leftmost', function() {
+      hl.add('test-dictionary', [{ terms: ['Corp', 'Acme', 'Acme Corp', 'me Corp met', 'Jones'] }]);
+      attest.totalHighlights(3, 1);
+      attest.highlight(0, 'Acme Corp');
+      attest.highlight(1, 'Jones');
+      attest.highlight(2, 'Corp');
+    });
+
+    it('honours matching options', function() {
+      hl.add('test-dictionary', [{ terms: ['alice', 'Smith', 'cve'], caseSensitive: true }]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'Smith');
+      hl.add('test-dictionary', [{ terms: ['Ali', 'Smith', 'cve'], wholeWord: true }]);
+      attest.totalHighlights(4, 1);
+    });
+
+    it('matches large dictionaries', function() {
+      const terms = [];
+      for (let i = 0; i < 20000; ++i) {
+        terms.push(`term${i}`);
+      }
+
+      terms.push('Carol White');
+      hl.add('test-dictionary', [{ terms }]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'Carol White');
+    });
+
+    it('produces no matches for empty dictionaries', function() {
+      hl.add('test-dictionary', [{ terms: ['', 'Zebra'] }]);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('highlights overlapping occurrences of multiple strings by default', function() {
+      hl.add('test-strings', ['Carol', 'Alice Smith', 'Smith of Acme']);
+      attest.totalHighlights(3, 1);
+      attest.highlight(0, 'Carol');
+      attest.highlight(1, 'Alice Smith');
+      attest.highlight(2, 'Smith of Acme');
+    });
+
+    it('routes multiple strings through the dictionary if requested', function() {
+      hl = instance.init(8, { dictionary: true });
+      hl.add('test-dictionary', ['Carol', 'Alice Smith', 'Smith of Acme']);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, 'Alice Smith');
+      attest.highlight(1, 'Carol');
+    });
+
+    it('honours block options', function() {
+      hl = instance.init(10, { withinBlocks: true });
+      hl.add('test-dictionary', [{ terms: ['oneLine', 'Line two', 'heading'] }]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(0, 'heading');
+      attest.highlight(1, 'Line two');
+      hl.add('test-spacing', [
+        { terms: ['paragraph Next'], blockSpacing: true, withinBlocks: false },
+      ]);
+      attest.totalHighlights(3, 2);
+      attest.highlight(2, 'paragraphNext');
+    });
+  });
+}
+
+function describeExclusionTests() {
+  describe('Exclusion', function() {
+    const xpathOf = text => ({
+      start: { xpath: text, offset: 0 },
+      end: { xpath: text, offset: 5 },
+    });
+
+    initEach(11);
+
+    it('excludes scripts, styles and ignored elements by default', function() {
+      hl.add('test-alpha', ['alpha']);
+      attest.totalHighlights(4, 1);
+      assert.strictEqual(hl.content.text, 'Visible alphaHidden alphaSkipped alphaLast alpha');
+    });
+
+    it('excludes hidden elements if requested', function() {
+      hl = instance.init(11, { excludeHidden: true });
+      hl.add('test-alpha', ['alpha']);
+      attest.totalHighlights(3, 1);
+      assert.strictEqual(hl.content.text, 'Visible alphaSkipped alphaLast alpha');
+    });
+
+    it('excludes elements matching a custom selector list', function() {
+      hl = instance.init(11, { exclude: 'script, style, noscript, template, .skip' });
+      hl.add('test-alpha', ['alpha']);
+      attest.totalHighlights(3, 1);
+    });
+
+    it('always excludes ignored elements', function() {
+      hl = instance.init(11, { exclude: '', excludeHidden: false });
+      hl.add('test-alpha', ['alpha']);
+      attest.totalHighlights(7, 1);
+      assert.notInclude(hl.content.text, 'Ignored');
+    });
+
+    it('does not highlight excluded text between matched nodes', function() {
+      hl.add('test-alpha', ['alphaSkipped']);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'alphaSkipped');
+      assert.strictEqual(instance.querySelector('script').textContent, 'var alpha = 1;');
+      assert.lengthOf(instance.querySelectorAll('[data-hh-ignore] span'), 0);
+    });
+
+    it('neither computes nor resolves XPaths of excluded text', function() {
+      const computor = new TextNodeXpath(hl.content.root, hl.content.exclude);
+      const ignored = instance.querySelector('[data-hh-ignore]').firstChild;
+      assert.throws(() => computor.xpathOf(ignored), /excluded/);
+      assert.isNull(computor.elementAt('/p[2]/text()[1]'));
+      hl.add('test-xpath', [xpathOf('/p[2]/text()[1]')]);
+      assert.strictEqual(hl.stats.total, 0);
+      hl.add('test-xpath', [xpathOf('/p[4]/text()[1]')]);
+      attest.highlight(0, 'Last ');
+    });
+  });
+}
+
+function describeShadowDomTests() {
+  describe('Shadow DOM', function() {
+    // Attach an open shadow root to a host.  Shadow DOM is not available in all test environments,
+    // e.g. jsdom, where the shadow root is emulated by a document fragment bearing its host and
+    // slots to which the children of the host are assigned.
+    const attachShadow = (host, html) => {
+      if (typeof host.attachShadow === 'function') {
+        host.attachShadow({ mode: 'open' }).innerHTML = html;
+        return;
+      }
+
+      const root = document.createDocumentFragment();
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      while (div.firstChild != null) {
+        root.appendChild(div.firstChild);
+      }
+
+      Object.defineProperty(root, 'host', { value: host });
+      Object.defineProperty(host, 'shadowRoot', { value: root });
+      for (const slot of root.querySelectorAll('slot')) {
+        slot.assignedNodes = () => Array.from(host.childNodes);
+        host.childNodes.forEach(node =>
+          Object.defineProperty(node, 'assignedSlot', { value: slot })
+        );
+      }
+    };
+    // Elements looked up in the document come in tree order, light DOM first, and so are retrieved
+    // from the registry, in rendered order
+    const textOf = id =>
+      hl
+        .getHighlightElements(id)
+        .map(el => el.textContent)
+        .join('');
+
+    beforeEach('initialise state', function() {
+      hl = instance.init(8, { shadowRoots: true });
+      const host = document.createElement('div');
+      host.innerHTML = '<b>slotted</b>';
+      attachShadow(host, '<p>Shadow <slot></slot> text</p>');
+      instance.get('container').appendChild(host);
+      hl.refresh();
+    });
+
+    afterEach('destroy state', function() {
+      hl = null;
+    });
+
+    it('traverses documents without shadow roots as before', function() {
+      hl.add('test-corp', ['Corp']);
+      assert.strictEqual(hl.stats.total, 2);
+      hl.next();
+      attest.cursor(0);
+    });
+
+    it('does not resolve shadow root steps of elements without one', function() {
+      const computor = new TextNodeXpath(hl.content.root);
+      assert.isNull(computor.elementAt('/p[1]/#shadow-root/text()[1]'));
+    });
+
+    it('does not traverse shadow roots unless enabled', function() {
+      hl = instance.init(8);
+      instance.get('container').innerHTML = '';
+      const host = document.createElement('div');
+      attachShadow(host, '<p>Shadow</p>');
+      instance.get('container').appendChild(host);
+      hl.refresh();
+      hl.add('test-shadow', ['Shadow']);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('highlights text within shadow roots and slots', function() {
+      hl.add('test-shadow', ['Shadow slotted text']);
+      assert.strictEqual(hl.stats.total, 1);
+      assert.strictEqual(textOf(0), 'Shadow slotted text');
+      assert.lengthOf(dom.getHighlightElements(0, hl.scope), 3);
+      hl.remove('test-shadow');
+      assert.lengthOf(dom.getHighlightElements(0, hl.scope), 0);
+    });
+
+    it('computes and resolves XPaths across shadow boundaries', function() {
+      const range = new TextFinder(hl.content, 'Shadow').next();
+      const xpath = range.computeXpath();
+      assert.include(xpath.start.xpath, '/#shadow-root/');
+      assert.deepEqual(
+        constructor
+          .finder(hl.content, xpath)
+          .next()
+          .computeOffsets(),
+        range.computeOffsets()
+      );
+    });
+  });
+}
+
+function describeInstanceScopeTests() {
+  describe('Instance scope', function() {
+    let other;
+    let otherContainer;
+
+    beforeEach('initialise state', function() {
+      hl = instance.init(8);
+      otherContainer = document.createElement('div');
+      otherContainer.innerHTML = instance.get('container').innerHTML;
+      document.body.appendChild(otherContainer);
+      other = new HtmlHighlighter({ container: otherContainer, maxHighlight: 100 });
+
+      hl.add('test-corp', ['Corp']);
+      other.add('test-corp', ['Corp']);
+    });
+
+    afterEach('destroy state', function() {
+      otherContainer.remove();
+      other = otherContainer = hl = null;
+    });
+
+    it('scopes lookups to the container', function() {
+      assert.lengthOf(dom.getForQuerySet(0, hl.scope), 2);
+      assert.lengthOf(dom.getForQuerySet(0, other.scope), 2);
+      assert.lengthOf(dom.getForQuerySet(0, dom.createScope(document)), 4);
+    });
+
+    it('enables and disables its own highlights only', function() {
+      hl.disable('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-disabled'), 2);
+      assert.lengthOf(otherContainer.querySelectorAll('.hh-disabled'), 0);
+      other.disable('test-corp');
+      hl.enable('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-disabled'), 0);
+      assert.lengthOf(otherContainer.querySelectorAll('.hh-disabled'), 2);
+    });
+
+    it('moves the cursor of its own highlights only', function() {
+      hl.next();
+      other.next();
+      other.next();
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight-id-0.hh-enabled'), 1);
+      assert.lengthOf(otherContainer.querySelectorAll('.hh-highlight-id-1.hh-enabled'), 1);
+      hl.cursor.clear();
+      assert.lengthOf(instance.querySelectorAll('.hh-enabled'), 0);
+      assert.lengthOf(otherContainer.querySelectorAll('.hh-enabled'), 1);
+    });
+
+    it('removes its own highlights only', function() {
+      hl.remove('test-corp');
+      attest.totalHighlights(0, 0);
+      assert.lengthOf(otherContainer.querySelectorAll('.hh-highlight'), 2);
+      assert.strictEqual(other.stats.total, 2);
+    });
+
+    it('applies the namespace option to highlight classes', function() {
+      hl = instance.init(8, { namespace: 'hh-alt' });
+      const before = new TextFinder(hl.content, 'Corp').next().computeXpath();
+      hl.add('test-corp', ['Corp']);
+      assert.lengthOf(instance.querySelectorAll('.hh-alt.hh-alt-0'), 2);
+      assert.lengthOf(instance.querySelectorAll('.hh-alt-id-1'), 1);
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight'), 0);
+      hl.refresh();
+      assert.deepEqual(new TextFinder(hl.content, 'Corp').next().computeXpath(), before);
+      hl.next();
+      assert.lengthOf(instance.querySelectorAll('.hh-alt-id-0.hh-enabled'), 1);
+      hl.remove('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-alt'), 0);
+    });
+  });
+}
+
+function describeRendererTests() {
+  describe('Renderers', function() {
+    const overlay = () => document.querySelector('.hh-highlight-overlay');
+    const originals = {};
+
+    /**
+     * Stand-in for `Highlight` of the CSS Custom Highlight API
+     */
+    class StubHighlight {
+      /**
+       * Class constructor
+       */
+      constructor() {
+        this.ranges = new Set();
+        this.priority = 0;
+      }
+
+      add(range) {
+        this.ranges.add(range);
+      }
+
+      delete(range) {
+        return this.ranges.delete(range);
+      }
+
+      get size() {
+        return this.ranges.size;
+      }
+    }
+
+    // Ranges laid out on a single line, 10px per character of their start container
+    const createStubRange = () => ({
+      setStart(node, offset) {
+        this.startContainer = node;
+        this.startOffset = offset;
+      },
+      setEnd(node, offset) {
+        this.endContainer = node;
+        this.endOffset = offset;
+      },
+      getClientRects() {
+        const end =
+          this.endContainer === this.startContainer ? this.endOffset : this.startOffset + 1;
+        return [
+          { left: this.startOffset * 10, top: 0, width: (end - this.startOffset) * 10, height: 10 },
+        ];
+      },
+    });
+
+    // Elements are laid out as positioned by their inline style
+    const stubLayout = {
+      getBoundingClientRect() {
+        const left = parseFloat(this.style.left) || 0;
+        const top = parseFloat(this.style.top) || 0;
+        const width = parseFloat(this.style.width) || 0;
+        const height = parseFloat(this.style.height) || 0;
+        return { left, top, width, height, right: left + width, bottom: top + height };
+      },
+    };
+
+    // Stub out the CSS Custom Highlight API, DOM ranges and layout where missing, e.g. in jsdom
+    beforeEach('stub rendering APIs', function() {
+      originals.Highlight = window.Highlight;
+      originals.CSS = window.CSS;
+      originals.createRange = document.createRange;
+      originals.getBoundingClientRect = HTMLElement.prototype.getBoundingClientRect;
+      originals.requestAnimationFrame = window.requestAnimationFrame;
+      // Overlay boxes are laid out at once unless a test schedules frames itself
+      window.requestAnimationFrame = undefined;
+      if (!CustomHighlightRenderer.isSupported()) {
+        window.Highlight = StubHighlight;
+        window.CSS = { highlights: new Map() };
+      }
+
+      if (typeof document.createRange !== 'function') {
+        document.createRange = createStubRange;
+        HTMLElement.prototype.getBoundingClientRect = stubLayout.getBoundingClientRect;
+      }
+    });
+
+    afterEach('destroy state', function() {
+      if (hl != null) {
+        hl.destroy();
+      }
+
+      hl = null;
+      window.Highlight = originals.Highlight;
+      window.CSS = originals.CSS;
+      window.requestAnimationFrame = originals.requestAnimationFrame;
+      HTMLElement.prototype.getBoundingClientRect = originals.getBoundingClientRect;
+      if (originals.createRange == null) {
+        delete document.createRange;
+      } else {
+        document.createRange = originals.createRange;
+      }
+    });
+
+    it('wraps highlights in elements by default', function() {
+      hl = instance.init(8);
+      hl.add('test-corp', ['Corp']);
+      attest.totalHighlights(2, 1);
+      hl.next();
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight-id-0.hh-enabled'), 1);
+    });
+
+    it('throws on an invalid renderer', function() {
+      assert.throws(() => instance.init(8, { renderer: 'invalid' }), /Invalid renderer/);
+    });
+
+    it('throws if the CSS Custom Highlight API is unavailable', function() {
+      window.Highlight = undefined;
+      assert.throws(() => instance.init(8, { renderer: 'highlight' }), /not supported/);
+    });
+
+    it('registers highlights without mutating the DOM', function() {
+      hl = instance.init(8, { renderer: 'highlight' });
+      const html = instance.get('container').innerHTML;
+      hl.add('test-corp', ['Corp']);
+      assert.strictEqual(hl.stats.total, 2);
+      assert.strictEqual(instance.get('container').innerHTML, html);
+      assert.strictEqual(window.CSS.highlights.get('hh-highlight-0').size, 2);
+      assert.strictEqual(hl.lastIdOf('test-corp'), 1);
+    });
+
+    it('unregisters highlights of disabled query sets', function() {
+      hl = instance.init(8, { renderer: 'highlight' });
+      hl.add('test-corp', ['Corp']);
+      hl.disable('test-corp');
+      assert.isFalse(window.CSS.highlights.has('hh-highlight-0'));
+      hl.enable('test-corp');
+      assert.strictEqual(window.CSS.highlights.get('hh-highlight-0').size, 2);
+    });
+
+    it('registers the highlight at the cursor position', function() {
+      hl = instance.init(8, { renderer: 'highlight' });
+      hl.add('test-corp', ['Corp']);
+      hl.next();
+      attest.cursor(0);
+      assert.strictEqual(window.CSS.highlights.get('hh-highlight-active').size, 1);
+      hl.remove('test-corp');
+      assert.isFalse(window.CSS.highlights.has('hh-highlight-active'));
+      assert.isFalse(window.CSS.highlights.has('hh-highlight'));
+    });
+
+    it('draws boxes over highlights without mutating the DOM', function() {
+      hl = instance.init(8, { renderer: 'overlay' });
+      const html = instance.get('container').innerHTML;
+      hl.add('test-corp', ['Corp']);
+      assert.strictEqual(hl.stats.total, 2);
+      assert.strictEqual(instance.get('container').innerHTML, html);
+      assert.isAbove(overlay().querySelectorAll('.hh-highlight-0.hh-highlight-id-1').length, 0);
+    });
+
+    it('reflects the state of query sets and cursor in boxes', function() {
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      hl.disable('test-corp');
+      assert.strictEqual(overlay().querySelectorAll('.hh-highlight:not(.hh-disabled)').length, 0);
+      hl.enable('test-corp');
+      hl.next();
+      assert.isAbove(overlay().querySelectorAll('.hh-highlight-id-0.hh-enabled').length, 0);
+      assert.strictEqual(overlay().querySelectorAll('.hh-highlight-id-1.hh-enabled').length, 0);
+    });
+
+    it('hit tests clicks against boxes', function() {
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      const rect = overlay()
+        .querySelector('.hh-highlight-id-1')
+        .getBoundingClientRect();
+      const clicked = [];
+      hl.on('click', ids => clicked.push(...ids));
+      document.dispatchEvent(
+        new MouseEvent('click', { clientX: rect.left + 1, clientY: rect.top + 1 })
+      );
+      assert.deepEqual(clicked, [1]);
+      hl.disable('test-corp');
+      assert.deepEqual(hl.renderer.hitTest(rect.left + 1, rect.top + 1), []);
+    });
+
+    it('removes the overlay along with the last highlight', function() {
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      hl.remove('test-corp');
+      assert.isNull(overlay());
+    });
+
+    it('lays out boxes once per frame', function() {
+      const frames = [];
+      window.requestAnimationFrame = callback => frames.push(callback);
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      hl.add('test-org', ['Acme', 'Initech']);
+      assert.lengthOf(frames, 1);
+      assert.lengthOf(overlay().querySelectorAll('.hh-highlight'), 0);
+      frames.pop()();
+      assert.lengthOf(overlay().querySelectorAll('.hh-highlight'), 4);
+    });
+
+    it('lays out boxes at once when needed before the next frame', function() {
+      const frames = [];
+      window.requestAnimationFrame = callback => frames.push(callback);
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      hl.next();
+      attest.cursor(0);
+      assert.lengthOf(hl.getHighlightElements(0), 1);
+      assert.lengthOf(overlay().querySelectorAll('.hh-highlight'), 2);
+      frames.pop()();
+      assert.lengthOf(overlay().querySelectorAll('.hh-highlight'), 2);
+    });
+
+    it('removes the overlay and its listeners when destroyed', function() {
+      hl = instance.init(8, { renderer: 'overlay' });
+      hl.add('test-corp', ['Corp']);
+      const rect = overlay()
+        .querySelector('.hh-highlight-id-1')
+        .getBoundingClientRect();
+      const clicked = [];
+      hl.on('click', ids => clicked.push(...ids));
+      hl.destroy();
+      assert.isNull(overlay());
+      document.dispatchEvent(
+        new MouseEvent('click', { clientX: rect.left + 1, clientY: rect.top + 1 })
+      );
+      assert.deepEqual(clicked, []);
+    });
+
+    it('unregisters all highlights when destroyed', function() {
+      hl = instance.init(8, { renderer: 'highlight' });
+      hl.add('test-corp', ['Corp']);
+      hl.next();
+      hl.destroy();
+      assert.isFalse(window.CSS.highlights.has('hh-highlight-0'));
+      assert.isFalse(window.CSS.highlights.has('hh-highlight-active'));
+    });
+  });
+}
+
+function describeElementFactoryTests() {
+  describe('Element factory', function() {
+    const elementFactory = (querySet, id, index) => {
+      const el = document.createElement('mark');
+      el.setAttribute('aria-label', `${querySet.name} ${id}`);
+      el.setAttribute('data-fragment', String(index));
+      return el;
+    };
+    const marks = selector => instance.querySelectorAll(`mark${selector || ''}`);
+
+    initEach(8, { elementFactory });
+
+    it('wraps highlights in elements produced by the factory', function() {
+      hl.add('test-corp', ['Corp']);
+      assert.strictEqual(hl.stats.total, 2);
+      assert.lengthOf(marks(), 2);
+      assert.lengthOf(instance.querySelectorAll('span'), 0);
+      assert.strictEqual(marks()[1].getAttribute('aria-label'), 'test-corp 1');
+      assert.strictEqual(marks()[1].getAttribute('data-hh-id'), '1');
+      assert.strictEqual(marks()[1].getAttribute('data-hh-query'), '0');
+      assert.strictEqual(marks()[1].getAttribute('data-hh-highlight'), 'hh-highlight');
+    });
+
+    it('gives the factory the index of each fragment', function() {
+      hl.add('test-struts', ['in Struts;']);
+      const fragments = Array.from(marks()).map(el => el.getAttribute('data-fragment'));
+      assert.deepEqual(fragments, ['0', '1', '2']);
+      assert.lengthOf(marks('[data-hh-id="0"]'), 3);
+    });
+
+    it('toggles, activates and removes factory elements', function() {
+      hl.add('test-corp', ['Corp'], false);
+      assert.lengthOf(marks('.hh-disabled'), 2);
+      hl.enable('test-corp');
+      assert.lengthOf(marks('.hh-disabled'), 0);
+      hl.next();
+      assert.lengthOf(marks('[data-hh-id="0"].hh-enabled'), 1);
+      hl.remove('test-corp');
+      assert.lengthOf(marks(), 0);
+      assert.include(instance.get('container').textContent, 'Acme Corp');
+    });
+
+    it('computes XPaths disregarding factory elements', function() {
+      const before = new TextFinder(hl.content, 'Corp').next().computeXpath();
+      hl.add('test-corp', ['Corp']);
+      hl.refresh();
+      assert.deepEqual(new TextFinder(hl.content, 'Corp').next().computeXpath(), before);
+    });
+  });
+}
+
+function describeSearchTests() {
+  describe('Search', function() {
+    initEach(8);
+
+    it('finds ranges without highlighting', function() {
+      const html = instance.get('container').innerHTML;
+      const ranges = hl.find('Corp');
+      assert.lengthOf(ranges, 2);
+      assert.deepEqual(ranges.map(range => range.text()), ['Corp', 'Corp']);
+      assert.deepEqual(ranges[1].computeOffsets(), {
+        start: hl.content.text.lastIndexOf('Corp'),
+        end: hl.content.text.lastIndexOf('Corp') + 4,
+      });
+      assert.strictEqual(ranges[1].computeXpath().start.xpath, '/p[2]/text()[1]');
+      assert.strictEqual(instance.get('container').innerHTML, html);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('finds subjects of any registered type', function() {
+      assert.lengthOf(hl.find({ terms: ['Alice', 'Bob'] }), 2);
+      assert.lengthOf(hl.find({ selector: 'em' }), 1);
+      assert.lengthOf(hl.find({ start: 0, end: 5 }), 1);
+    });
+
+    it('applies matching options over those of the instance', function() {
+      assert.lengthOf(hl.find('Cor'), 2);
+      assert.lengthOf(hl.find('Cor', { wholeWord: true }), 0);
+      assert.lengthOf(hl.find('alice smith', { caseSensitive: true }), 0);
+    });
+
+    it('counts occurrences', function() {
+      assert.strictEqual(hl.count('Corp'), 2);
+      assert.strictEqual(hl.count({ terms: ['CVE'] }), 3);
+      assert.strictEqual(hl.count('Nonexistent'), 0);
+      assert.strictEqual(hl.stats.total, 0);
+    });
+
+    it('counts the matches a finder has yet to return', function() {
+      const finder = constructor.finder(hl.content, 'Corp');
+      assert.strictEqual(finder.count(), 2);
+      finder.next();
+      assert.strictEqual(finder.count(), 1);
+    });
+
+    it('throws on unrecognised subjects', function() {
+      assert.throws(() => hl.find(42), /Unrecognised subject/);
+      assert.throws(() => hl.count(42), /Unrecognised subject/);
+    });
+  });
+}
+
+function describeObserveTests() {
+  describe('Mutation observation', function() {
+    const supported = typeof window.MutationObserver === 'function';
+    // Mutation observers are not available in all test environments, e.g. jsdom
+    const itObserve = supported ? it : it.skip;
+    const itUnsupported = supported ? it.skip : it;
+    const childList = (target, addedNodes, removedNodes = []) => ({
+      type: 'childList',
+      target,
+      addedNodes,
+      removedNodes,
+    });
+
+    // Assert the text content matches that built from scratch
+    const assertContent = (content, options = {}) => {
+      const expected = new TextContent(content.root, options);
+      content.assert();
+      assert.strictEqual(content.text, expected.text);
+      assert.deepEqual(content.boundaries, expected.boundaries);
+      assert.deepEqual(content.markers, expected.markers);
+    };
+
+    afterEach('destroy state', function() {
+      if (hl != null && hl.observer != null) {
+        hl.disconnect();
+      }
+
+      hl = null;
+    });
+
+    it('patches the text content on insertion', function() {
+      hl = instance.init(8);
+      const container = instance.get('container');
+      const length = hl.content.text.length;
+      const p = document.createElement('p');
+      p.textContent = 'Dave Brown of Hooli Corp.';
+      container.appendChild(p);
+
+      const changes = hl.content.patch([childList(container, [p])]);
+      assert.deepEqual(changes, [{ start: length, end: length + 25, removed: 0 }]);
+      assertContent(hl.content);
+    });
+
+    it('patches the text content on removal', function() {
+      hl = instance.init(8);
+      const container = instance.get('container');
+      const p = container.querySelector('p');
+      const length = p.textContent.length;
+      p.remove();
+
+      const changes = hl.content.patch([childList(container, [], [p])]);
+      assert.deepEqual(changes, [{ start: 0, end: 0, removed: length }]);
+      assertContent(hl.content);
+    });
+
+    it('patches the text content on change', function() {
+      hl = instance.init(8);
+      const node = instance.get('container').querySelector('em').firstChild;
+      const start = hl.content.text.indexOf('Struts');
+      node.nodeValue = 'Tomcat 7';
+
+      const changes = hl.content.patch([{ type: 'characterData', target: node }]);
+      assert.deepEqual(changes, [{ start, end: start + 8, removed: 6 }]);
+      assertContent(hl.content);
+    });
+
+    it('patches the text content on move', function() {
+      hl = instance.init(8);
+      const container = instance.get('container');
+      const p = container.querySelectorAll('p')[1];
+      container.insertBefore(p, container.firstChild);
+
+      hl.content.patch([childList(container, [], [p]), childList(container, [p])]);
+      assertContent(hl.content);
+    });
+
+    it('ignores mutations of excluded elements', function() {
+      hl = instance.init(8, { exclude: '.excluded' });
+      const container = instance.get('container');
+      const div = document.createElement('div');
+      div.className = 'excluded';
+      div.textContent = 'Corp';
+      container.appendChild(div);
+
+      assert.lengthOf(hl.content.patch([childList(container, [div])]), 0);
+      assertContent(hl.content, { exclude: '.excluded' });
+    });
+
+    it('highlights inserted text and shifts existing highlights', function() {
+      const changes = [];
+      hl = instance.init(8);
+      hl.on('contentchange', change => changes.push(change));
+      hl.add('test-corp', ['Corp']);
+
+      const container = instance.get('container');
+      const p = document.createElement('p');
+      p.textContent = 'Dave Brown of Hooli Corp.';
+      container.insertBefore(p, container.firstChild);
+
+      // Records are normally delivered by the mutation observer in `observe` mode
+      hl.sync_([childList(container, [p])]);
+      assert.deepEqual(changes, [{ start: 0, end: 25, removed: 0 }]);
+      attest.totalHighlights(3, 1);
+      assert.deepEqual(hl.highlights.map(marker => marker.offset), [
+        20,
+        hl.content.text.indexOf('Corp', 25),
+        hl.content.text.lastIndexOf('Corp'),
+      ]);
+      attest.highlight(2, 'Corp');
+      hl.next();
+      attest.currentHighlight(2);
+    });
+
+    it('removes highlights within removed text', function() {
+      hl = instance.init(8);
+      hl.add('test-corp', ['Corp']);
+      hl.add('test-struts', ['Struts']);
+
+      const container = instance.get('container');
+      const p = container.querySelectorAll('p')[1];
+      p.remove();
+
+      hl.sync_([childList(container, [], [p])]);
+      assert.strictEqual(hl.stats.total, 1);
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight'), 1);
+      assert.strictEqual(hl.queries.get('test-corp').length, 0);
+      assert.strictEqual(hl.lastIdOf('test-corp'), -1);
+      assert.deepEqual(hl.renderer.registry.idsOf(0), []);
+      assert.lengthOf(hl.getHighlightElements(0), 0);
+      attest.highlight(2, 'Struts');
+    });
+
+    it('highlights changed text anew', function() {
+      hl = instance.init(8);
+      hl.add('test-struts', ['Struts']);
+
+      const node = instance.get('container').querySelector('em').firstChild.firstChild;
+      node.nodeValue = 'Struts 2';
+
+      hl.sync_([{ type: 'characterData', target: node }]);
+      attest.totalHighlights(1, 1);
+      assert.lengthOf(hl.getHighlightElements(0), 0);
+      assert.strictEqual(hl.lastIdOf('test-struts'), 1);
+      attest.highlight(1, 'Struts');
+      assertContent(hl.content);
+    });
+
+    it('highlights hits crossing the edges of changed text', function() {
+      hl = instance.init(8);
+      hl.add('test-struts', ['Struts 2']);
+
+      const em = instance.get('container').querySelector('em');
+      const node = document.createTextNode(' 2');
+      em.appendChild(node);
+
+      hl.sync_([childList(em, [node])]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'Struts 2');
+    });
+
+    it('highlights text joined by removed text', function() {
+      hl = instance.init(8);
+      hl.add('test-acme', ['Acme Corp']);
+
+      const container = instance.get('container');
+      const p = document.createElement('p');
+      p.innerHTML = 'Acme <em>Widget</em>Corp';
+      container.appendChild(p);
+      hl.sync_([childList(container, [p])]);
+      attest.totalHighlights(1, 1);
+
+      const em = p.querySelector('em');
+      em.remove();
+      hl.sync_([childList(p, [], [em])]);
+      attest.totalHighlights(2, 1);
+      attest.highlight(1, 'Acme Corp');
+    });
+
+    it('runs patterns again', function() {
+      hl = instance.init(8);
+      hl.addPattern(/(?<cve>CVE-\d+-\d+)/);
+      assert.deepEqual(hl.queries.get('cve').queries, [
+        { regex: /(?<cve>CVE-\d+-\d+)/, group: 'cve' },
+      ]);
+
+      const container = instance.get('container');
+      const p = document.createElement('p');
+      p.textContent = 'Patched CVE-2021-44228.';
+      container.appendChild(p);
+
+      hl.sync_([childList(container, [p])]);
+      attest.totalHighlights(4, 1);
+      attest.highlight(3, 'CVE-2021-44228');
+    });
+
+    it('does not run positional queries again', function() {
+      hl = instance.init(8);
+      hl.add('test-offset', [{ start: 6, end: 19 }]);
+
+      const container = instance.get('container');
+      const p = document.createElement('p');
+      p.textContent = 'Lorem ipsum dolor sit amet.';
+      container.insertBefore(p, container.firstChild);
+
+      hl.sync_([childList(container, [p])]);
+      attest.totalHighlights(1, 1);
+      attest.highlight(0, 'CVE-2017-5638');
+    });
+
+    it('highlights changed text for query sets with reserve or created last', function() {
+      hl = instance.init(8);
+      hl.add('test-corp', ['Corp'], true, 5);
+      hl.add('test-smith', ['Smith']);
+      hl.add('test-acme', ['Acme']);
+
+      const container = instance.get('container');
+      const p = document.createElement('p');
+      p.textContent = 'Dave Smith of Acme Corp.';
+      container.appendChild(p);
+
+      hl.sync_([childList(container, [p])]);
+      attest.totalHighlights(6, 3);
+      assert.strictEqual(hl.queries.get('test-corp').length, 3);
+      assert.strictEqual(hl.queries.get('test-smith').length, 1);
+      assert.strictEqual(hl.queries.get('test-acme').length, 2);
+    });
+
+    itUnsupported('throws if mutation observers are unavailable', function() {
+      assert.throws(() => instance.init(8, { observe: true }), /not supported/);
+    });
+
+    itObserve('observes mutations of the container', function() {
+      hl = instance.init(8, { observe: true });
+      hl.add('test-corp', ['Corp']);
+
+      const p = document.createElement('p');
+      p.textContent = 'Dave Brown of Hooli Corp.';
+      instance.get('container').appendChild(p);
+      hl.disconnect();
+
+      assert.isNull(hl.observer);
+      assertContent(hl.content);
+      attest.totalHighlights(3, 1);
+    });
+
+    itObserve('ignores mutations made by the instance', function() {
+      const changes = [];
+      hl = instance.init(8, { observe: true });
+      hl.on('contentchange', change => changes.push(change));
+      hl.add('test-corp', ['Corp']);
+      hl.remove('test-corp');
+      hl.disconnect();
+
+      assert.lengthOf(changes, 0);
+      assertContent(hl.content);
+    });
+
+    describe('Observer wiring', function() {
+      let observers;
+      let MutationObserver;
+
+      /**
+       * Stub mutation observer whose records are queued by the tests themselves
+       */
+      class StubObserver {
+        constructor(callback) {
+          this.callback = callback;
+          this.records = [];
+          this.target = null;
+          observers.push(this);
+        }
+
+        observe(target) {
+          this.target = target;
+        }
+
+        takeRecords() {
+          const { records } = this;
+          this.records = [];
+          return records;
+        }
+
+        disconnect() {
+          this.target = null;
+        }
+      }
+
+      const appendParagraph = () => {
+        const container = instance.get('container');
+        const p = document.createElement('p');
+        p.textContent = 'Dave Brown of Hooli Corp.';
+        container.appendChild(p);
+        return childList(container, [p]);
+      };
+
+      beforeEach('stub mutation observer', function() {
+        observers = [];
+        MutationObserver = window.MutationObserver;
+        window.MutationObserver = StubObserver;
+      });
+
+      afterEach('restore mutation observer', function() {
+        window.MutationObserver = MutationObserver;
+      });
+
+      it('delivers mutation records to the instance', function() {
+        hl = instance.init(8, { observe: true });
+        hl.add('test-corp', ['Corp']);
+        assert.lengthOf(observers, 1);
+        assert.strictEqual(observers[0].target, instance.get('container'));
+
+        observers[0].callback([appendParagraph()]);
+        attest.totalHighlights(3, 1);
+        assertContent(hl.content);
+      });
+
+      it('reflects pending mutations before highlighting', function() {
+        hl = instance.init(8, { observe: true });
+        observers[0].records.push(appendParagraph());
+
+        hl.add('test-corp', ['Corp']);
+        assert.lengthOf(observers[0].records, 0);
+        attest.totalHighlights(3, 1);
+        assertContent(hl.content);
+      });
+
+      it('reflects pending mutations before searching', function() {
+        hl = instance.init(8, { observe: true });
+        observers[0].records.push(appendParagraph());
+        const offsets = hl.find('Corp').map(range => range.computeOffsets());
+        assert.lengthOf(observers[0].records, 0);
+        assert.lengthOf(offsets, 3);
+        offsets.forEach(({ start, end }) => {
+          assert.strictEqual(hl.content.text.substring(start, end), 'Corp');
+        });
+
+        observers[0].records.push(appendParagraph());
+        assert.strictEqual(hl.count('Corp'), 4);
+        assert.lengthOf(observers[0].records, 0);
+      });
+
+      it('discards records of its own mutations', function() {
+        const changes = [];
+        hl = instance.init(8, { observe: true });
+        hl.on('contentchange', change => changes.push(change));
+
+        // Queue a record whenever the instance mutates the DOM, as an observer would
+        const node = instance.get('container').querySelector('em').firstChild;
+        const record = { type: 'characterData', target: node };
+        const { renderer } = hl;
+        const draw = renderer.draw.bind(renderer);
+        const undraw = renderer.undraw.bind(renderer);
+        renderer.draw = (...args) => {
+          observers[0].records.push(record);
+          return draw(...args);
+        };
+        renderer.undraw = (...args) => {
+          observers[0].records.push(record);
+          return undraw(...args);
+        };
+
+        hl.add('test-corp', ['Corp']);
+        hl.remove('test-corp');
+        hl.disconnect();
+        assert.lengthOf(changes, 0);
+      });
+
+      it('reflects pending mutations when disconnecting', function() {
+        hl = instance.init(8, { observe: true });
+        hl.add('test-corp', ['Corp']);
+        observers[0].records.push(appendParagraph());
+
+        hl.disconnect();
+        assert.isNull(hl.observer);
+        assert.isNull(observers[0].target);
+        attest.totalHighlights(3, 1);
+      });
+    });
+  });
+}
+
+function describeTextContentTests() {
+  describe('Text content', function() {
+    // Assert every text node maps to its marker descriptor
+    const assertIndex = content => {
+      content.markers.forEach((marker, i) => {
+        assert.strictEqual(content.markerOf(marker.node), marker);
+        assert.strictEqual(content.find(marker.node), i);
+      });
+    };
+
+    initEach(8);
+
+    it('maps text nodes to marker descriptors', function() {
+      const { content } = hl;
+      const node = instance.get('container').querySelector('em').firstChild;
+      assertIndex(content);
+      assert.strictEqual(content.markerOf(node).offset, content.text.indexOf('Struts'));
+      assert.isNull(content.markerOf(document.createTextNode('Struts')));
+      assert.isNull(content.markerOf(instance.get('container')));
+      assert.strictEqual(content.find(node, content.find(node) + 1), -1);
+    });
+
+    it('maps text nodes to marker descriptors after truncation and merging', function() {
+      const { content } = hl;
+      const node = instance.get('container').querySelector('p').firstChild;
+      hl.add('test-corp', ['Corp']).add('test-cve', [{ terms: ['CVE'] }]);
+      assertIndex(content);
+      assert.isNull(content.markerOf(node));
+
+      hl.remove('test-corp');
+      assertIndex(content);
+      hl.remove('test-cve');
+      assertIndex(content);
+      assert.lengthOf(content.markers, new TextContent(content.root).markers.length);
+    });
+
+    it('finds empty text nodes', function() {
+      const p = instance.get('container').querySelector('p');
+      p.insertBefore(document.createTextNode(''), p.firstChild);
+      hl.refresh();
+      assertIndex(hl.content);
+      assert.strictEqual(hl.content.find(p.firstChild), 0);
+      assert.strictEqual(hl.content.find(p.firstChild.nextSibling), 1);
+    });
+
+    it('widens spans of text to the blocks containing them', function() {
+      hl = instance.init(10);
+      const { content } = hl;
+      const start = content.text.indexOf('heading');
+      assert.deepEqual(content.widen(start, start + 2), {
+        start: content.text.indexOf('Next'),
+        end: content.text.indexOf('Cell one'),
+      });
+      assert.deepEqual(content.widen(0, 0), { start: 0, end: content.text.indexOf('Next') });
+    });
+
+    it('slices the text content', function() {
+      hl = instance.init(10);
+      const start = hl.content.text.indexOf('Line one');
+      const copy = hl.content.slice(start, hl.content.text.length);
+      assert.strictEqual(copy.text, 'Line oneLine two');
+      assert.deepEqual(copy.markers.map(marker => marker.offset), [0, 8, 13]);
+      assert.deepEqual(copy.boundaries, [0, 8, 16]);
+      assertIndex(copy);
+      assert.strictEqual(copy.markers[0].node, hl.content.markers[hl.content.indexOf(start)].node);
+    });
+  });
+}
+
+function describeRegistryTests() {
+  describe('Highlight registry', function() {
+    initEach(8);
+
+    it('retrieves the elements of a highlight', function() {
+      hl.add('test-struts', ['in Struts;']);
+      const elements = hl.getHighlightElements(0);
+      assert.lengthOf(elements, 3);
+      assert.deepEqual(elements, Array.from(dom.getHighlightElements(0, hl.scope)));
+      assert.strictEqual(elements.map(el => el.textContent).join(''), 'in Struts;');
+      assert.lengthOf(hl.getHighlightElements(1), 0);
+    });
+
+    it('maps query sets to their highlights', function() {
+      hl.add('test-corp', ['Corp']).add('test-struts', ['Struts']);
+      const { registry } = hl.renderer;
+      assert.deepEqual(registry.idsOf(0), [0, 1]);
+      assert.deepEqual(registry.idsOf(1), [2]);
+      assert.lengthOf(registry.getForQuerySet(0), 2);
+
+      hl.remove('test-corp');
+      assert.deepEqual(registry.idsOf(0), []);
+      assert.lengthOf(hl.getHighlightElements(0), 0);
+      assert.lengthOf(hl.getHighlightElements(2), 1);
+    });
+
+    it('toggles the state of highlights through the registry', function() {
+      hl.add('test-corp', ['Corp']).add('test-struts', ['Struts']);
+      hl.disable('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-disabled'), 2);
+      hl.enable('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-disabled'), 0);
+
+      hl.next();
+      hl.next();
+      const enabled = instance.querySelectorAll('.hh-enabled');
+      assert.lengthOf(enabled, 1);
+      assert.strictEqual(enabled[0], hl.getHighlightElements(0)[0]);
+    });
+
+    it('removes highlights whose elements were detached', function() {
+      hl.add('test-corp', ['Corp']);
+      hl.getHighlightElements(0)[0].remove();
+      hl.refresh();
+      hl.remove('test-corp');
+      assert.lengthOf(instance.querySelectorAll('.hh-highlight'), 0);
+      hl.content.assert();
+    });
+  });
+}
+
 function describeFullDocumentTests() {
   if (BROWSER) {
     throw new Error('Full document tests not available in browser mode');
@@ -1,12 +1,24 @@
 // For whatever reason, it is not possible to use the handy `export * from "module"` syntax.
 import HtmlHighlighter from "./htmlhighlighter";
 import RangeHighlighter from "./rangehighlighter";
+import Finder from "./finder";
 import TextFinder from "./textfinder";
+import FuzzyFinder from "./fuzzyfinder";
+import DictionaryFinder from "./dictionaryfinder";
+import AnchorFinder from "./anchorfinder";
+import TextQuoteFinder from "./textquotefinder";
+import OffsetFinder from "./offsetfinder";
 import XPathFinder from "./xpathfinder";
 
 export {
   HtmlHighlighter,
   RangeHighlighter,
+  Finder,
   TextFinder,
+  FuzzyFinder,
+  DictionaryFinder,
+  AnchorFinder,
+  TextQuoteFinder,
+  OffsetFinder,
   XPathFinder,
 };
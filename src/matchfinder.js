@@ -0,0 +1,75 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import * as regexp from './regex';
+
+export type Match = {| index: number, length: number |};
+
+/**
+ * Class responsible for producing `Range` instances from matches found ahead of time in a
+ * `TextContent` instance
+ *
+ * Useful when a single pass over the text yields matches destined for more than one query set, as
+ * is the case of the named capture groups of a regular expression.
+ */
+class MatchFinder extends Finder {
+  /**
+   * Find the matches of every named capture group of a regular expression in a single pass
+   *
+   * A finder is produced for every named capture group, including groups that did not participate
+   * in any match.  Zero-length matches are skipped.
+   *
+   * Throws an exception if the regular expression contains no named capture groups.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {RegExp} regex - Regular expression containing named capture groups
+   * @returns {Map<string, MatchFinder>} Map of capture group names to finder instances
+   */
+  static fromPattern(content: TextContent, regex: RegExp): Map<string, MatchFinder> {
+    const { names } = regexp.groupsOf(regex);
+    if (names.length === 0) {
+      throw new Error('Regular expression contains no named capture groups');
+    }
+
+    const groups: Map<string, Array<Match>> = new Map(names.map(name => [name, []]));
+    const re = regexp.withIndices(regex);
+    let match;
+
+    while ((match = re.exec(content.text)) !== null) {
+      // Advance past zero-length matches to avoid looping forever
+      if (match[0].length === 0) {
+        ++re.lastIndex;
+      }
+
+      for (const [name, matches] of groups) {
+        const span = regexp.groupSpan(match, name);
+        if (span != null && span.length > 0) {
+          matches.push(span);
+        }
+      }
+    }
+
+    const finders = new Map();
+    for (const [name, matches] of groups) {
+      finders.set(name, new MatchFinder(content, matches));
+    }
+
+    return finders;
+  }
+
+  /**
+   * Class constructor
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {Array<Match>} matches - Global offsets and lengths of the matches, in order of offset
+   */
+  constructor(content: TextContent, matches: Array<Match>) {
+    // Construct base class
+    super(content);
+
+    this.results = matches.slice();
+  }
+}
+
+export default MatchFinder;
@@ -0,0 +1,55 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import type { RangeOffsetDescriptor } from './range';
+
+export type OffsetSubject = RangeOffsetDescriptor;
+
+/**
+ * Class responsible for locating text in a `TextContent` instance from global character offsets
+ *
+ * Offsets are those into `TextContent.text`, as produced by `Range.computeOffsets`.  The start
+ * offset is inclusive and the end offset exclusive.
+ */
+class OffsetFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `OffsetFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `OffsetFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return subject != null && typeof subject.start === 'number' && typeof subject.end === 'number';
+  }
+
+  /**
+   * Class constructor
+   *
+   * Throws an exception if the offsets are not integers or are out of bounds, or if the start
+   * offset is not less than the end offset.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {OffsetSubject} subject - Descriptor containing start and end global offsets
+   */
+  constructor(content: TextContent, subject: OffsetSubject) {
+    // Construct base class
+    super(content);
+
+    const { start, end } = subject;
+    if (
+      start !== Math.floor(start) ||
+      end !== Math.floor(end) ||
+      start < 0 ||
+      end > content.text.length
+    ) {
+      throw new Error(`Invalid offsets: ${start}:${end}`);
+    } else if (start >= end) {
+      throw new Error('Invalid offsets: start >= end');
+    }
+
+    this.results.push({ index: start, length: end - start });
+  }
+}
+
+export default OffsetFinder;
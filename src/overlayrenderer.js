@@ -0,0 +1,360 @@
+// @flow
+
+import * as dom from './dom';
+import { Css } from './consts';
+import Renderer from './renderer';
+import Range from './range';
+import type { DomRange, Scope } from './dom';
+import type { HighlightDescriptor } from './renderer';
+
+type Entry = {|
+  range: DomRange,
+  classes: string,
+  queryId: number,
+  enabled: boolean,
+  boxes: Array<HTMLElement>,
+|};
+
+/**
+ * Rendering backend that draws highlights as absolutely positioned boxes in an overlay layer,
+ * leaving the highlighted content untouched
+ *
+ * A box is drawn over each of the rectangles returned by the `getClientRects` method of the range
+ * of a highlight.  Boxes bear the same CSS classes as the elements created by the span backend,
+ * including the `hh-disabled` and `hh-enabled` state classes, and so are styled alike.  The layer
+ * is appended to the document's body while highlights exist and bears the namespace suffixed with
+ * `-overlay` as class; e.g. `hh-highlight-overlay`.
+ *
+ * Boxes are laid out before the next repaint, in a single pass over all highlights, so that drawing
+ * many highlights forces the layout of the document once; they are laid out at once when they are
+ * needed earlier, e.g. to activate a highlight.  Boxes are repositioned when the window is resized
+ * or the document or any element within it is scrolled, and when fonts finish loading.
+ *
+ * Since boxes do not respond to pointer events, so as not to obstruct the content, clicks are
+ * hit-tested against them instead and a `click` event emitted with the ids of the highlights under
+ * the pointer, topmost last, along with the DOM event.
+ */
+class OverlayRenderer extends Renderer {
+  entries: Map<number, Entry>;
+  layer: HTMLElement | null;
+  active: number | null;
+  pending: boolean;
+  onChange: () => void;
+  onClick: (event: MouseEvent) => void;
+
+  /**
+   * Class constructor
+   *
+   * @param {Scope} scope - Scope of the owning `HtmlHighlighter` instance
+   */
+  constructor(scope: Scope) {
+    super(scope);
+
+    this.entries = new Map();
+    this.layer = null;
+    this.active = null;
+    this.pending = false;
+    this.onChange = () => this.schedule_();
+    this.onClick = event => {
+      const ids = this.hitTest(event.clientX, event.clientY);
+      if (ids.length > 0) {
+        this.emit('click', ids, event);
+      }
+    };
+  }
+
+  draw(range: Range, highlight: HighlightDescriptor): void {
+    const { id, queryId, enabled, cssClass } = highlight;
+    const { namespace } = this.scope;
+    const classes = [namespace, `${namespace}-${queryId}`, `${namespace}-id-${id}`];
+
+    if (cssClass != null) {
+      classes.push(cssClass);
+    }
+
+    const entry = {
+      range: range.toDomRange(),
+      classes: classes.join(' '),
+      queryId,
+      enabled,
+      boxes: [],
+    };
+
+    this.attach_();
+    this.entries.set(id, entry);
+    this.schedule_();
+  }
+
+  undraw(id: number): Array<Node> {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return [];
+    }
+
+    entry.boxes.forEach(box => box.remove());
+    this.entries.delete(id);
+    if (this.active === id) {
+      this.active = null;
+    }
+
+    if (this.entries.size < 1) {
+      this.detach_();
+    }
+
+    return [];
+  }
+
+  enable(queryId: number): void {
+    this.setEnabled_(queryId, true);
+  }
+
+  disable(queryId: number): void {
+    this.setEnabled_(queryId, false);
+  }
+
+  activate(id: number): HTMLElement | null {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return null;
+    }
+
+    this.flush_();
+    this.deactivate();
+    this.active = id;
+    dom.addClass(entry.boxes, Css.enabled);
+    return entry.boxes.length > 0 ? entry.boxes[0] : null;
+  }
+
+  deactivate(): void {
+    const entry = this.active == null ? null : this.entries.get(this.active);
+    if (entry != null) {
+      dom.removeClass(entry.boxes, Css.enabled);
+    }
+
+    this.active = null;
+  }
+
+  elementsOf(id: number): Array<HTMLElement> {
+    const entry = this.entries.get(id);
+    if (entry == null) {
+      return [];
+    }
+
+    this.flush_();
+    return entry.boxes.slice();
+  }
+
+  /**
+   * Remove all boxes along with the overlay layer and stop listening for events
+   */
+  destroy(): void {
+    this.entries.clear();
+    this.active = null;
+    this.pending = false;
+    this.detach_();
+  }
+
+  /**
+   * Recompute the position of all boxes
+   *
+   * Invoked automatically on resize, scroll and font load but should also be invoked when the
+   * layout of the document changes otherwise.
+   */
+  reposition(): void {
+    this.pending = false;
+    const layer = this.layer;
+    if (layer == null) {
+      return;
+    }
+
+    // Measure all ranges before positioning any box so that layout is only computed once
+    const origin = layer.getBoundingClientRect();
+    const rects = new Map();
+    for (const [id, entry] of this.entries) {
+      rects.set(
+        id,
+        Array.from(entry.range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0)
+      );
+    }
+
+    for (const [id, entry] of this.entries) {
+      this.layout_(id, entry, origin, rects.get(id) || []);
+    }
+  }
+
+  /**
+   * Determine the highlights drawn at a given point
+   *
+   * Highlights of disabled query sets are ignored.
+   *
+   * @param {number} x - Horizontal coordinate, relative to the viewport
+   * @param {number} y - Vertical coordinate, relative to the viewport
+   * @returns {Array<number>} IDs of the highlights at the point, in drawing order
+   */
+  hitTest(x: number, y: number): Array<number> {
+    this.flush_();
+
+    const ids = [];
+    for (const [id, entry] of this.entries) {
+      const hit =
+        entry.enabled &&
+        entry.boxes.some(box => {
+          const rect = box.getBoundingClientRect();
+          return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+        });
+
+      if (hit) {
+        ids.push(id);
+      }
+    }
+
+    return ids;
+  }
+
+  // Private interface
+  // -----------------
+  /**
+   * Create the overlay layer and start listening for events, unless already done
+   * @access private
+   */
+  attach_(): void {
+    if (this.layer != null) {
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = `${this.scope.namespace}-overlay`;
+    Object.assign(layer.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      width: '0',
+      height: '0',
+      pointerEvents: 'none',
+    });
+
+    (document.body: any).appendChild(layer);
+    this.layer = layer;
+
+    window.addEventListener('resize', this.onChange);
+    window.addEventListener('scroll', this.onChange, true);
+    document.addEventListener('click', this.onClick);
+    if ((document: any).fonts != null) {
+      (document: any).fonts.addEventListener('loadingdone', this.onChange);
+    }
+  }
+
+  /**
+   * Remove the overlay layer and stop listening for events
+   * @access private
+   */
+  detach_(): void {
+    if (this.layer == null) {
+      return;
+    }
+
+    this.layer.remove();
+    this.layer = null;
+
+    window.removeEventListener('resize', this.onChange);
+    window.removeEventListener('scroll', this.onChange, true);
+    document.removeEventListener('click', this.onClick);
+    if ((document: any).fonts != null) {
+      (document: any).fonts.removeEventListener('loadingdone', this.onChange);
+    }
+  }
+
+  /**
+   * Schedule the repositioning of all boxes before the next repaint
+   *
+   * Repeated requests made before the repositioning takes place are coalesced.
+   * @access private
+   */
+  schedule_(): void {
+    if (this.pending) {
+      return;
+    } else if (typeof window.requestAnimationFrame !== 'function') {
+      this.reposition();
+      return;
+    }
+
+    this.pending = true;
+    window.requestAnimationFrame(() => this.flush_());
+  }
+
+  /**
+   * Reposition all boxes at once if a repositioning is scheduled
+   * @access private
+   */
+  flush_(): void {
+    if (this.pending) {
+      this.reposition();
+    }
+  }
+
+  /**
+   * Create, remove and position the boxes of a highlight to match the rectangles of its range
+   * @access private
+   *
+   * @param {number} id - ID of the highlight
+   * @param {Entry} entry - Entry of the highlight
+   * @param {ClientRect} origin - Rectangle of the overlay layer
+   * @param {Array<ClientRect>} rects - Non-empty rectangles of the range of the highlight
+   */
+  layout_(id: number, entry: Entry, origin: ClientRect, rects: Array<ClientRect>): void {
+    const layer = this.layer;
+    if (layer == null) {
+      return;
+    }
+
+    while (entry.boxes.length > rects.length) {
+      entry.boxes.pop().remove();
+    }
+
+    while (entry.boxes.length < rects.length) {
+      const box = document.createElement('div');
+      box.className = entry.classes;
+      box.style.position = 'absolute';
+      if (!entry.enabled) {
+        dom.addClass(box, Css.disabled);
+      }
+
+      if (this.active === id) {
+        dom.addClass(box, Css.enabled);
+      }
+
+      layer.appendChild(box);
+      entry.boxes.push(box);
+    }
+
+    rects.forEach((rect, i) => {
+      const { style } = entry.boxes[i];
+      style.left = `${rect.left - origin.left}px`;
+      style.top = `${rect.top - origin.top}px`;
+      style.width = `${rect.width}px`;
+      style.height = `${rect.height}px`;
+    });
+  }
+
+  /**
+   * Show or hide the highlights of a query set
+   * @access private
+   *
+   * @param {number} queryId - ID of the query set
+   * @param {boolean} enabled - Whether highlights are shown
+   */
+  setEnabled_(queryId: number, enabled: boolean): void {
+    for (const entry of this.entries.values()) {
+      if (entry.queryId === queryId) {
+        entry.enabled = enabled;
+        if (enabled) {
+          dom.removeClass(entry.boxes, Css.disabled);
+        } else {
+          dom.addClass(entry.boxes, Css.disabled);
+        }
+      }
+    }
+  }
+}
+
+export default OverlayRenderer;
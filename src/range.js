@@ -1,18 +1,40 @@
 // @flow
 
 import * as dom from './dom';
+import * as util from './util';
 import TextContent from './textcontent';
 import TextNodeVisitor from './textnodevisitor';
 import TextNodeXpath from './textnodexpath';
 import type { Marker } from './textcontent';
+import type { DomRange } from './dom';
+import type { AnchorStrategy } from './anchorfinder';
 
 export type RangeDescriptor = {| marker: Marker, offset: number |};
 
+// Creates the highlight element wrapping the text node given by its index among those the range
+// spans
+export type ElementCreator = (index: number) => HTMLElement;
+
+export type RangeOffsetDescriptor = {| start: number, end: number |};
+
+export type TextQuoteSelector = {|
+  type: 'TextQuoteSelector',
+  exact: string,
+  prefix?: string,
+  suffix?: string,
+|};
+
 export type RangeXpathDescriptor = {|
   start: { xpath: string, offset: number },
   end: { xpath: string, offset: number },
 |};
 
+export type RangeAnchor = {|
+  xpath?: RangeXpathDescriptor,
+  offsets?: RangeOffsetDescriptor,
+  quote: TextQuoteSelector,
+|};
+
 /**
  * Holds a representation of a range between two text nodes
  *
@@ -24,6 +46,8 @@ class Range {
   content: TextContent;
   start: RangeDescriptor;
   end: RangeDescriptor;
+  score: number | null;
+  strategy: AnchorStrategy | null;
 
   /**
    * Create a range descriptor from a global offset.
@@ -58,26 +82,40 @@ class Range {
 
     this.start = start;
     this.end = end;
+    // Confidence of the match in the range `[0, 1]`, set by finders producing approximate matches
+    this.score = null;
+    // Representation of an anchor that located the range, set by `AnchorFinder`
+    this.strategy = null;
   }
 
   /**
    * Highlight a range
    *
    * Highlights a given range by wrapping one or more text nodes with a `span` tag and applying a
-   * particular CSS class.
+   * particular CSS class, or with the elements produced by a function, which is given the index of
+   * the text node, or fragment, among those spanned by the range.
    *
-   * @param {string} className - The CSS class name to apply
+   * @param {string | ElementCreator} className - The CSS class name to apply or function producing
+   * the highlight elements
    */
-  surround(className: string): void {
+  surround(className: string | ElementCreator): void {
+    let index = 0;
+    const create = () => (typeof className === 'string' ? className : className(index++));
+
     // Optimised case: highlighting does not span multiple nodes
     if (this.start.marker.node === this.end.marker.node) {
-      this.surround_(this.start, this.start.offset, this.end.offset, className);
+      this.surround_(this.start, this.start.offset, this.end.offset, create());
       return;
     }
 
     // Highlighting spans 2 or more nodes, which means we need to build a representation of all the
     // text nodes contained in the start to end range, but excluding the start and end nodes
-    const visitor = new TextNodeVisitor(this.start.marker.node, this.content.root);
+    const visitor = new TextNodeVisitor(
+      this.start.marker.node,
+      this.content.root,
+      this.content.exclude,
+      this.content.shadowRoots
+    );
     const end = this.end.marker.node;
     const coll = [];
 
@@ -89,9 +127,9 @@ class Range {
     // Apply highlighting to start and end nodes, and to any nodes in between, if applicable.
     // Highlighting for the start and end nodes may require text node truncation but not for the
     // nodes in between.
-    this.surround_(this.start, this.start.offset, null, className);
-    coll.forEach(n => this.surroundWhole_(n, className));
-    this.surround_(this.end, 0, this.end.offset, className);
+    this.surround_(this.start, this.start.offset, null, create());
+    coll.forEach(n => this.surroundWhole_(n, create()));
+    this.surround_(this.end, 0, this.end.offset, create());
   }
 
   /**
@@ -102,7 +140,11 @@ class Range {
   computeXpath(): RangeXpathDescriptor {
     const start = this.start.marker.node;
     const end = this.end.marker.node;
-    const computor = new TextNodeXpath(this.content.root);
+    const computor = new TextNodeXpath(
+      this.content.root,
+      this.content.exclude,
+      this.content.namespace
+    );
     return {
       start: {
         xpath: computor.xpathOf(start),
@@ -115,6 +157,112 @@ class Range {
     };
   }
 
+  /**
+   * Compute the global offsets of the active range
+   *
+   * Offsets are relative to the start of the text held by the `TextContent` instance.  The start
+   * offset is inclusive and the end offset exclusive.
+   *
+   * @returns {RangeOffsetDescriptor} Global offsets of active range
+   */
+  computeOffsets(): RangeOffsetDescriptor {
+    return {
+      start: this.start.marker.offset + this.start.offset,
+      end: this.end.marker.offset + this.end.offset + 1,
+    };
+  }
+
+  /**
+   * Return the text of the active range
+   *
+   * @returns {string} Text of active range
+   */
+  text(): string {
+    const { start, end } = this.computeOffsets();
+    return this.content.text.substring(start, end);
+  }
+
+  /**
+   * Create a native DOM `Range` spanning the active range
+   *
+   * The DOM is left untouched.
+   *
+   * @returns {DomRange} DOM range
+   */
+  toDomRange(): DomRange {
+    const { start, end } = this;
+    return dom.createRange(start.marker.node, start.offset, end.marker.node, end.offset + 1);
+  }
+
+  /**
+   * Compute a W3C Web Annotation `TextQuoteSelector` representation of the active range
+   *
+   * The prefix and suffix are given the least length that makes the selector identify the active
+   * range alone among all occurrences of its text in the `TextContent` instance.  Both are empty if
+   * the text of the range occurs only once.
+   *
+   * @returns {TextQuoteSelector} Text quote selector representation of active range
+   */
+  toTextQuoteSelector(): TextQuoteSelector {
+    const { text } = this.content;
+    const { start, end } = this.computeOffsets();
+    const exact = this.text();
+    const prefixOf = (offset, length) => text.substring(Math.max(offset - length, 0), offset);
+    const suffixOf = (offset, length) => text.substr(offset + exact.length, length);
+
+    // Least length of the context that tells another occurrence apart from the active range: one
+    // character longer than the prefix or the suffix they share, whichever is shorter, unless the
+    // start or end of the text cuts that side short, in which case the other side is extended
+    const lengthOf = offset => {
+      let before = 0;
+      while (
+        before < Math.min(offset, start) &&
+        text[offset - before - 1] === text[start - before - 1]
+      ) {
+        ++before;
+      }
+
+      let after = 0;
+      const from = offset + exact.length;
+      while (
+        after < Math.min(text.length - from, text.length - end) &&
+        text[from + after] === text[end + after]
+      ) {
+        ++after;
+      }
+
+      return Math.min(
+        before < start ? before + 1 : Infinity,
+        after < text.length - end ? after + 1 : Infinity
+      );
+    };
+
+    // The context is made long enough to tell every other occurrence apart
+    const others = util.indexesOf(text, exact).filter(offset => offset !== start);
+    const length = others.reduce((longest, offset) => Math.max(longest, lengthOf(offset)), 0);
+
+    return {
+      type: 'TextQuoteSelector',
+      exact,
+      prefix: prefixOf(start, length),
+      suffix: suffixOf(start, length),
+    };
+  }
+
+  /**
+   * Compute an anchor combining the XPath, global offsets and text quote representations of the
+   * active range
+   *
+   * @returns {RangeAnchor} Anchor representation of active range
+   */
+  toAnchor(): RangeAnchor {
+    return {
+      xpath: this.computeXpath(),
+      offsets: this.computeOffsets(),
+      quote: this.toTextQuoteSelector(),
+    };
+  }
+
   /**
    * Compute the length of the active range
    *
@@ -127,7 +275,12 @@ class Range {
     }
 
     // Range spans 2 or more nodes
-    const visitor = new TextNodeVisitor(this.start.marker.node, this.content.root);
+    const visitor = new TextNodeVisitor(
+      this.start.marker.node,
+      this.content.root,
+      this.content.exclude,
+      this.content.shadowRoots
+    );
     const end = this.end.marker.node;
     let length = this.start.marker.node.nodeValue.length - this.start.offset + this.end.offset + 1;
 
@@ -150,9 +303,14 @@ class Range {
    * @param {Object} descr - Start or end `Range` descriptor
    * @param {number} start - Start offset
    * @param {number | null} end - End offset
-   * @param {string} className - CSS class name to apply
+   * @param {string | HTMLElement} className - CSS class name to apply or highlight element
    */
-  surround_(descr: RangeDescriptor, start: number, end: number | null, className: string): void {
+  surround_(
+    descr: RangeDescriptor,
+    start: number,
+    end: number | null,
+    className: string | HTMLElement
+  ): void {
     this.content.truncate(
       descr.marker,
       start,
@@ -168,9 +326,9 @@ class Range {
    * No text node truncation occurs.
    *
    * @param {Node} node - Text node to apply highlighting to
-   * @param {string} className - CSS class name to apply
+   * @param {string | HTMLElement} className - CSS class name to apply or highlight element
    * */
-  surroundWhole_(node: Node, className: string): void {
+  surroundWhole_(node: Node, className: string | HTMLElement): void {
     dom.createHighlightElement(node, className);
   }
 }
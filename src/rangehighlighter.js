@@ -1,7 +1,13 @@
 // @flow
 
+import * as dom from './dom';
 import { Css } from './consts';
 import Range from './range';
+import HighlightRegistry from './highlightregistry';
+
+// Creates the element wrapping a fragment of a highlight, given the highlight id and the index of
+// the fragment
+export type ElementFactory = (id: number, index: number) => HTMLElement;
 
 /**
  * Convenience class for applying highlights on arbitrary `Range` instances
@@ -9,7 +15,7 @@ import Range from './range';
  * A `classes` attribute is cached at construction time with the CSS classes that will apply to all
  * created highlight instances, namely the:
  *
- *   - base highlight class (e.g. `hh-highlight`)
+ *   - base highlight class, or namespace (e.g. `hh-highlight`)
  *   - query ID class (e.g. `hh-highlight-1`)
  *
  * Then, each time a given range is highlighted, the CSS classes applied to the created highlight
@@ -17,10 +23,22 @@ import Range from './range';
  * identifies the highlight, which takes the following form: `hh-highlight-id-${highlightID}`.
  * Finally, the highlight ID is returned but also incremented so the next generated highlight is
  * guaranteed to be unique.
+ *
+ * If an element factory is given, highlight elements are produced by it instead and given none of
+ * the above CSS classes but the `hh-disabled` class, when applicable.  In either case, highlight
+ * elements are stamped with the `data-hh-highlight`, `data-hh-id` and `data-hh-query` attributes,
+ * holding the namespace, the highlight ID and the query ID, by which highlights are recognised.
+ *
+ * If a registry is given, highlight elements are also registered with it as they are created.
  */
 class RangeHighlighter {
   id: number;
   classes: string;
+  namespace: string;
+  queryId: number;
+  enabled: boolean;
+  factory: ElementFactory | null;
+  registry: HighlightRegistry | null;
 
   /**
    * Class constructor
@@ -29,9 +47,20 @@ class RangeHighlighter {
    * @param {number} highlightId - The first available highlight ID to apply
    * @param {bool} enabled - If explicitly `false`, highlights are created but not shown
    * @param {string | null} cssClass - Additional CSS class to use
+   * @param {string} [namespace] - Base highlight class, from which the other classes are derived
+   * @param {ElementFactory | null} [factory] - Function producing the highlight elements
+   * @param {HighlightRegistry | null} [registry] - Registry to register highlight elements with
    */
-  constructor(queryId: number, highlightId: number, enabled: boolean, cssClass: string | null) {
-    const classes = [Css.highlight, `${Css.highlight}-${queryId}`];
+  constructor(
+    queryId: number,
+    highlightId: number,
+    enabled: boolean,
+    cssClass: string | null,
+    namespace: string = Css.highlight,
+    factory: ElementFactory | null = null,
+    registry: HighlightRegistry | null = null
+  ) {
+    const classes = [namespace, `${namespace}-${queryId}`];
 
     if (cssClass != null) {
       classes.push(cssClass);
@@ -42,6 +71,11 @@ class RangeHighlighter {
     }
 
     this.classes = classes.join(' ');
+    this.namespace = namespace;
+    this.queryId = queryId;
+    this.enabled = enabled;
+    this.factory = factory;
+    this.registry = registry;
     this.id = highlightId;
   }
 
@@ -54,9 +88,40 @@ class RangeHighlighter {
    * @returns {number} Unique highlight id
    */
   do(range: Range): number {
-    range.surround(`${this.classes} ${Css.highlight}-id-${this.id}`);
+    const id = this.id;
+    range.surround(index => this.createElement_(id, index));
     return this.id++;
   }
+
+  // Private interface
+  // -----------------
+  /**
+   * Create the element wrapping a fragment of a highlight
+   * @access private
+   *
+   * @param {number} id - Highlight ID
+   * @param {number} index - Index of the fragment
+   * @returns {HTMLElement} Highlight element
+   */
+  createElement_(id: number, index: number): HTMLElement {
+    let el;
+    if (this.factory == null) {
+      el = document.createElement('span');
+      el.className = `${this.classes} ${this.namespace}-id-${id}`;
+    } else {
+      el = this.factory(id, index);
+      if (this.enabled === false) {
+        dom.addClass(el, Css.disabled);
+      }
+    }
+
+    dom.markHighlight(el, this.namespace, id, this.queryId);
+    if (this.registry != null) {
+      this.registry.add(this.queryId, id, el);
+    }
+
+    return el;
+  }
 }
 
 export default RangeHighlighter;
@@ -1,25 +1,62 @@
 // @flow
 
 import * as dom from './dom';
+import HighlightRegistry from './highlightregistry';
+import type { Scope } from './dom';
 
 /**
  * Convenience class for removing highlighting
+ *
+ * Highlight elements are retrieved from, and unregistered with, the registry if one is given and
+ * looked up in the scope otherwise.
  */
 class RangeUnhighlighter {
+  scope: Scope;
+  registry: HighlightRegistry | null;
+
+  /**
+   * Class constructor
+   *
+   * @param {Scope} scope - Scope to look up highlights in
+   * @param {HighlightRegistry | null} [registry] - Registry of the highlight elements
+   */
+  constructor(scope: Scope, registry: HighlightRegistry | null = null) {
+    this.scope = scope;
+    this.registry = registry;
+  }
+
   /**
    * Remove highlighting given by its id
    *
    * @param {number} id - ID of the highlight to remove
+   * @returns {Array<Node>} Text nodes adjacent to the removed highlight elements, which may need
+   * merging with their siblings
    */
-  undo(id: number): void {
-    const coll = dom.getHighlightElements(id);
+  undo(id: number): Array<Node> {
+    const coll =
+      this.registry == null ? dom.getHighlightElements(id, this.scope) : this.registry.remove(id);
+    const fragmented = [];
     for (const el of coll) {
-      for (const child of el.childNodes) {
-        (el.parentNode: any).insertBefore(child, el);
+      // Elements may have been removed from the document since they were registered
+      const parent: any = el.parentNode;
+      if (parent == null) {
+        continue;
+      }
+
+      const nodes = [el.previousSibling, ...Array.from(el.childNodes), el.nextSibling];
+      for (const child of Array.from(el.childNodes)) {
+        parent.insertBefore(child, el);
       }
 
       el.remove();
+      nodes.forEach(node => {
+        if (node != null && node.nodeType === 3) {
+          fragmented.push(node);
+        }
+      });
     }
+
+    return fragmented;
   }
 }
 
@@ -0,0 +1,77 @@
+// @flow
+
+export type CaptureGroups = {| count: number, names: Array<string> |};
+export type GroupSpan = {| index: number, length: number |};
+
+// Whether the `d` flag, which causes the start and end offsets of capture groups to be exposed, is
+// supported by the JavaScript engine.
+const HAS_INDICES = (() => {
+  try {
+    // eslint-disable-next-line no-invalid-regexp
+    return (new RegExp('', ('d': any)): any).hasIndices === true;
+  } catch (x) {
+    return false;
+  }
+})();
+
+/**
+ * Escape all characters in a string that have special meaning in regular expressions
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escape(text: string): string {
+  return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+}
+
+/**
+ * Return the number of capture groups of a regular expression and the names of its named groups
+ *
+ * @param {RegExp} regex - Regular expression
+ * @returns {CaptureGroups} Number of capture groups and names of named groups
+ */
+function groupsOf(regex: RegExp): CaptureGroups {
+  // Match the empty string to learn the number and names of the expression's capture groups.
+  const probe: any = new RegExp(`(?:${regex.source})|`, regex.flags.replace(/[gy]/g, '')).exec('');
+  return {
+    count: probe.length - 1,
+    names: probe.groups == null ? [] : Object.keys(probe.groups),
+  };
+}
+
+/**
+ * Return a global copy of a regular expression that exposes the offsets of its capture groups
+ *
+ * The `d` flag is employed where supported.
+ *
+ * @param {RegExp} regex - Regular expression
+ * @returns {RegExp} Regular expression
+ */
+function withIndices(regex: RegExp): RegExp {
+  const flags = regex.flags.replace(/[gyd]/g, '');
+  return new RegExp(regex.source, flags + (HAS_INDICES ? 'gd' : 'g'));
+}
+
+/**
+ * Compute the offset and length of a capture group in a regular expression match
+ *
+ * The match must have been produced by a regular expression returned by `withIndices`.  When the
+ * `d` flag is not supported, the offset is that of the first occurrence of the group's text in the
+ * match, which is an approximation.
+ *
+ * @param {any} match - Regular expression match
+ * @param {number | string} group - Capture group number or name
+ * @returns {GroupSpan | null} Offset and length of the capture group or `null` if the group did not
+ * participate in the match
+ */
+function groupSpan(match: any, group: number | string): GroupSpan | null {
+  if (match.indices != null) {
+    const span = typeof group === 'number' ? match.indices[group] : match.indices.groups[group];
+    return span == null ? null : { index: span[0], length: span[1] - span[0] };
+  }
+
+  const text = typeof group === 'number' ? match[group] : match.groups[group];
+  return text == null ? null : { index: match.index + match[0].indexOf(text), length: text.length };
+}
+
+export { escape, groupsOf, withIndices, groupSpan };
@@ -0,0 +1,141 @@
+// @flow
+
+import EventEmitter from 'events';
+
+import * as util from './util';
+import Range from './range';
+import type { Scope } from './dom';
+import type { HighlightElementFactory } from './consts';
+import type { QuerySet } from './htmlhighlighter';
+
+export type RendererOptions = {
+  elementFactory?: HighlightElementFactory | null,
+};
+
+export type HighlightDescriptor = {|
+  id: number,
+  queryId: number,
+  querySet: QuerySet,
+  enabled: boolean,
+  cssClass: string | null,
+|};
+
+/**
+ * Abstract base class of all rendering backends
+ *
+ * A rendering backend is responsible for making highlights visible and for reflecting the state of
+ * query sets (enabled or disabled) and of the cursor (active highlight) in the document.
+ * Highlights are identified by their unique highlight id and belong to the query set given by
+ * their query id.
+ *
+ * Backends supporting it emit the following events:
+ *
+ *  - click: one or more highlights clicked, given by their ids
+ *
+ * @abstract
+ * @param {Scope} scope - Scope of the owning `HtmlHighlighter` instance
+ * @param {RendererOptions} [options] - Rendering options, of which backends only honour those
+ * relevant to them
+ */
+class Renderer extends EventEmitter {
+  scope: Scope;
+
+  /* eslint-disable no-unused-vars */
+  constructor(scope: Scope, options: RendererOptions = {}) {
+    super();
+
+    this.scope = scope;
+  }
+
+  /**
+   * @abstract
+   * Render a highlight
+   *
+   * @param {Range} range - Range to highlight
+   * @param {HighlightDescriptor} highlight - Descriptor of the highlight
+   */
+  draw(range: Range, highlight: HighlightDescriptor): void {
+    util.abstract();
+  }
+
+  /**
+   * @abstract
+   * Remove a highlight given by its id
+   *
+   * @param {number} id - ID of the highlight to remove
+   * @returns {Array<Node>} Text nodes left fragmented by the removal, which are merged with their
+   * adjacent text nodes if the `normalise` option is set; backends that do not mutate the DOM
+   * return an empty array
+   */
+  // $FlowFixMe: below signature is needed in specialized classes
+  undraw(id: number): Array<Node> {
+    util.abstract();
+  }
+
+  /**
+   * @abstract
+   * Show the highlights of a query set
+   *
+   * @param {number} queryId - ID of the query set
+   */
+  enable(queryId: number): void {
+    util.abstract();
+  }
+
+  /**
+   * @abstract
+   * Hide the highlights of a query set
+   *
+   * @param {number} queryId - ID of the query set
+   */
+  disable(queryId: number): void {
+    util.abstract();
+  }
+
+  /**
+   * @abstract
+   * Mark a highlight as the one at the cursor position
+   *
+   * @param {number} id - ID of the highlight
+   * @returns {HTMLElement | null} Element to bring into view or `null` if the highlight does not
+   * exist
+   */
+  // $FlowFixMe: below signature is needed in specialized classes
+  activate(id: number): HTMLElement | null {
+    util.abstract();
+  }
+  /* eslint-enable no-unused-vars */
+
+  /**
+   * @abstract
+   * Clear the highlight at the cursor position, if any
+   */
+  deactivate(): void {
+    util.abstract();
+  }
+
+  /**
+   * Return the elements rendering a highlight
+   *
+   * Backends that do not render highlights as elements return an empty array.
+   *
+   * @param {number} id - ID of the highlight
+   * @returns {Array<HTMLElement>} Elements of the highlight in document order
+   */
+  /* eslint-disable no-unused-vars */
+  elementsOf(id: number): Array<HTMLElement> {
+    return [];
+  }
+  /* eslint-enable no-unused-vars */
+
+  /**
+   * Release the resources held by the backend
+   *
+   * Highlights rendered outside of the content of the document, along with any event listeners,
+   * are removed whereas those rendered within it are left in place.  The backend is unusable
+   * afterwards.  Backends holding no such resources need not override this method.
+   */
+  destroy(): void {}
+}
+
+export default Renderer;
@@ -0,0 +1,156 @@
+// @flow
+
+import * as util from './util';
+import type { Marker } from './textcontent';
+import type { ShadowTransform } from './shadowtext';
+
+type RenderStyle = {| whiteSpace: string, textTransform: string |};
+
+const COLLAPSIBLE = /^[ \t\n\r\f]$/;
+
+/**
+ * Compute the rendering style of an element
+ *
+ * Styles are cached in `cache`.  Inherited properties the environment does not report, as is the
+ * case of jsdom, are resolved from the element's ancestors.
+ *
+ * @param {Node} element - Element to compute the style of
+ * @param {Node} root - Root element, whose ancestors are not considered
+ * @param {Map<Node, RenderStyle>} cache - Cache of computed styles
+ * @returns {RenderStyle} Rendering style of element
+ */
+function styleOf(element: Node, root: Node, cache: Map<Node, RenderStyle>): RenderStyle {
+  let style = cache.get(element);
+  if (style != null) {
+    return style;
+  }
+
+  const computed = window.getComputedStyle(element);
+  const parent: any = element.parentNode;
+  const inherited =
+    element === root || parent == null || parent.nodeType !== 1
+      ? { whiteSpace: 'normal', textTransform: 'none' }
+      : styleOf(parent, root, cache);
+
+  style = {
+    whiteSpace: computed.whiteSpace || inherited.whiteSpace,
+    textTransform: computed.textTransform || inherited.textTransform,
+  };
+  cache.set(element, style);
+  return style;
+}
+
+/**
+ * Determine if a whitespace character is preserved by a given `white-space` property value
+ *
+ * @param {string} c - Whitespace character
+ * @param {string} whiteSpace - Value of the `white-space` property
+ * @returns {boolean} `true` if whitespace is rendered as is
+ */
+function isPreserved(c: string, whiteSpace: string): boolean {
+  switch (whiteSpace) {
+    case 'pre':
+    case 'pre-wrap':
+    case 'break-spaces':
+      return true;
+
+    case 'pre-line':
+      return c === '\n';
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply the `text-transform` property to a code point
+ *
+ * @param {string} chunk - Code point to transform
+ * @param {string} last - Code point rendered immediately before `chunk`
+ * @param {string} textTransform - Value of the `text-transform` property
+ * @returns {string} Transformed code point
+ */
+function transformCase(chunk: string, last: string, textTransform: string): string {
+  switch (textTransform) {
+    case 'uppercase':
+      return chunk.toUpperCase();
+
+    case 'lowercase':
+      return chunk.toLowerCase();
+
+    case 'capitalize':
+      return util.isWithinWord(last + chunk, last.length) ? chunk : chunk.toUpperCase();
+
+    default:
+      return chunk;
+  }
+}
+
+/**
+ * Create a shadow transform that projects text as it is rendered, following `innerText` rules
+ *
+ * Runs of collapsible whitespace are rendered as a single space, or not at all at the start or end
+ * of a line, with the remaining whitespace discarded.  Block boundaries are rendered as a line
+ * break and the `text-transform` property is applied.  The transform is stateful: it expects every
+ * code point of `text` in order and should therefore be used to build a single `ShadowText`
+ * instance.
+ *
+ * @param {string} text - Text of a `TextContent` instance
+ * @param {Array<Marker>} markers - Offset markers of the `TextContent` instance
+ * @param {Array<number>} boundaries - Block boundaries of the `TextContent` instance
+ * @param {Node} root - Root element of the `TextContent` instance
+ * @returns {ShadowTransform} Transform producing rendered text
+ */
+function createRenderTransform(
+  text: string,
+  markers: Array<Marker>,
+  boundaries: Array<number>,
+  root: Node
+): ShadowTransform {
+  const breaks = new Set(boundaries);
+  const cache = new Map();
+  let marker = 0;
+  let last = '';
+
+  // Determine if a run of collapsible whitespace starting at `offset` ends a line
+  const endsLine = offset => {
+    let i = offset + 1;
+    while (i < text.length && COLLAPSIBLE.test(text[i]) && !breaks.has(i)) {
+      ++i;
+    }
+
+    return i >= text.length || breaks.has(i);
+  };
+
+  return (chunk, offset) => {
+    while (marker < markers.length - 1 && markers[marker + 1].offset <= offset) {
+      ++marker;
+    }
+
+    const { whiteSpace, textTransform } = styleOf(
+      (markers[marker].node.parentNode: any),
+      root,
+      cache
+    );
+    const prefix = offset > 0 && breaks.has(offset) && last !== '' && last !== '\n' ? '\n' : '';
+    const lineStart = prefix !== '' || last === '' || last === '\n';
+    let output;
+
+    if (!COLLAPSIBLE.test(chunk) || isPreserved(chunk, whiteSpace)) {
+      output = transformCase(chunk, prefix || last, textTransform);
+    } else {
+      const runStart = prefix !== '' || offset === 0 || !COLLAPSIBLE.test(text[offset - 1]);
+      output = runStart && !lineStart && !endsLine(offset) ? ' ' : null;
+    }
+
+    output = prefix + (output == null ? '' : output);
+    if (output.length < 1) {
+      return null;
+    }
+
+    last = output[output.length - 1];
+    return output;
+  };
+}
+
+export { createRenderTransform };
@@ -0,0 +1,72 @@
+// @flow
+
+import * as dom from './dom';
+import TextContent from './textcontent';
+import Finder from './finder';
+
+export type SelectorSubject = {| selector: string |};
+
+/**
+ * Class responsible for locating the entire text of elements matching a CSS selector in a
+ * `TextContent` instance
+ *
+ * One match is produced per element that contains text, in document order, spanning the text of
+ * the element that is not excluded from the `TextContent` instance.  Elements matching the
+ * selector that are nested within other matching elements produce matches of their own.
+ */
+class SelectorFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `SelectorFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `SelectorFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return subject != null && typeof subject.selector === 'string';
+  }
+
+  /**
+   * Class constructor
+   *
+   * Throws an exception if the selector is invalid.  Elements within open shadow roots are matched
+   * too when the `TextContent` instance traverses them.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {SelectorSubject} subject - Descriptor containing the CSS selector; e.g.
+   * `{ selector: 'blockquote, .quote' }`
+   */
+  constructor(content: TextContent, subject: SelectorSubject) {
+    // Construct base class
+    super(content);
+
+    const { root } = content;
+    const elements = content.shadowRoots
+      ? dom.querySelectorAllDeep(root, subject.selector)
+      : root.querySelectorAll(subject.selector);
+    for (const element of elements) {
+      // Only text nodes indexed by the `TextContent` instance are considered, as those within
+      // excluded subtrees are not
+      const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      let first = null;
+      let last = null;
+      while (walker.nextNode() != null) {
+        const marker = content.markerOf(walker.currentNode);
+        if (marker != null) {
+          first = first || marker;
+          last = marker;
+        }
+      }
+
+      if (first == null || last == null) {
+        continue;
+      }
+
+      const length = last.offset + last.node.nodeValue.length - first.offset;
+      if (length > 0) {
+        this.results.push({ index: first.offset, length });
+      }
+    }
+  }
+}
+
+export default SelectorFinder;
@@ -0,0 +1,86 @@
+// @flow
+
+export type ShadowTransform = (chunk: string, offset: number) => string | null;
+export type ShadowMatch = {| index: number, length: number |};
+
+/**
+ * Holds a transformed projection of a text string, referred to as its shadow, along with a map of
+ * every character of the shadow back to its offset in the original text
+ *
+ * The shadow is built by passing every code point of the original text through a transform
+ * function.  The transform may return a string longer than its input to expand a code point, or an
+ * empty string to drop it, in which case the code point is considered part of the preceding one;
+ * e.g. a combining mark.  Returning `null` discards the code point altogether; e.g. collapsed
+ * whitespace.  Matches found in the shadow text can then be mapped back to exact
+ * offsets in the original text by way of the `toOriginal` method.
+ */
+class ShadowText {
+  text: string;
+  offsets: Array<number>;
+  ends: Array<number>;
+  length: number;
+
+  /**
+   * Class constructor
+   *
+   * @param {string} source - Original text
+   * @param {ShadowTransform} transform - Function mapping a code point of the original text,
+   * given with its offset, to its shadow representation
+   */
+  constructor(source: string, transform: ShadowTransform) {
+    const offsets = [];
+    const ends = [];
+    let text = '';
+    let first = 0;
+
+    for (let i = 0, l = source.length; i < l; ) {
+      const size = source.codePointAt(i) > 0xffff ? 2 : 1;
+      const chunk = transform(source.substr(i, size), i);
+
+      if (chunk != null && chunk.length > 0) {
+        first = offsets.length;
+        for (let j = 0; j < chunk.length; ++j) {
+          offsets.push(i);
+          ends.push(i + size);
+        }
+
+        text += chunk;
+      } else if (chunk != null) {
+        // Dropped code points extend the characters produced by the preceding code point
+        for (let j = first; j < ends.length; ++j) {
+          ends[j] = i + size;
+        }
+      }
+
+      i += size;
+    }
+
+    this.text = text;
+    this.offsets = offsets;
+    this.ends = ends;
+    this.length = source.length;
+  }
+
+  /**
+   * Map a match in the shadow text to the original text
+   *
+   * The match is widened as needed so it always covers whole code points of the original text.
+   * Code points dropped by the transform that immediately follow the match, such as combining
+   * marks, are included but discarded code points are not.
+   *
+   * @param {number} index - Offset of the match in the shadow text
+   * @param {number} length - Length of the match in the shadow text
+   * @returns {ShadowMatch} Offset and length of the match in the original text
+   */
+  toOriginal(index: number, length: number): ShadowMatch {
+    const offsets = this.offsets;
+    const start = index < offsets.length ? offsets[index] : this.length;
+    if (length < 1) {
+      return { index: start, length: 0 };
+    }
+
+    return { index: start, length: this.ends[index + length - 1] - start };
+  }
+}
+
+export default ShadowText;
@@ -0,0 +1,102 @@
+// @flow
+
+import * as dom from './dom';
+import { Css } from './consts';
+import Renderer from './renderer';
+import RangeHighlighter from './rangehighlighter';
+import RangeUnhighlighter from './rangeunhighlighter';
+import HighlightRegistry from './highlightregistry';
+import Range from './range';
+import type { Scope } from './dom';
+import type { HighlightElementFactory } from './consts';
+import type { HighlightDescriptor, RendererOptions } from './renderer';
+
+/**
+ * Rendering backend that wraps highlighted text in `span` elements
+ *
+ * Highlight elements bear the CSS classes described in `RangeHighlighter`, derived from the
+ * namespace of the scope.  Disabled query sets are given the `hh-disabled` class and the highlight
+ * at the cursor position the `hh-enabled` class.  This is the default backend.
+ *
+ * The `elementFactory` option, if given, produces the highlight elements in place of `span`
+ * elements.  Highlight elements are recognised by the attributes described in `RangeHighlighter`.
+ *
+ * Highlight elements are kept in a registry as they are created, so that they are never looked up
+ * in the document.
+ */
+class SpanRenderer extends Renderer {
+  registry: HighlightRegistry;
+  unhighlighter: RangeUnhighlighter;
+  factory: HighlightElementFactory | null;
+  active: number | null;
+
+  /**
+   * Class constructor
+   *
+   * @param {Scope} scope - Scope of the owning `HtmlHighlighter` instance
+   * @param {RendererOptions} [options] - Rendering options
+   */
+  constructor(scope: Scope, options: RendererOptions = {}) {
+    super(scope, options);
+
+    this.registry = new HighlightRegistry();
+    this.unhighlighter = new RangeUnhighlighter(scope, this.registry);
+    this.factory = options.elementFactory || null;
+    this.active = null;
+  }
+
+  draw(range: Range, highlight: HighlightDescriptor): void {
+    const { id, queryId, querySet, enabled, cssClass } = highlight;
+    const { factory } = this;
+    new RangeHighlighter(
+      queryId,
+      id,
+      enabled,
+      cssClass,
+      this.scope.namespace,
+      factory == null ? null : (hid, index) => factory(querySet, hid, index),
+      this.registry
+    ).do(range);
+  }
+
+  undraw(id: number): Array<Node> {
+    if (this.active === id) {
+      this.active = null;
+    }
+
+    return this.unhighlighter.undo(id);
+  }
+
+  enable(queryId: number): void {
+    dom.removeClass(this.registry.getForQuerySet(queryId), Css.disabled);
+  }
+
+  disable(queryId: number): void {
+    dom.addClass(this.registry.getForQuerySet(queryId), Css.disabled);
+  }
+
+  activate(id: number): HTMLElement | null {
+    const coll = this.registry.get(id);
+    if (coll.length < 1) {
+      return null;
+    }
+
+    this.deactivate();
+    this.active = id;
+    dom.addClass(coll, Css.enabled);
+    return coll[0];
+  }
+
+  deactivate(): void {
+    if (this.active != null) {
+      dom.removeClass(this.registry.get(this.active), Css.enabled);
+      this.active = null;
+    }
+  }
+
+  elementsOf(id: number): Array<HTMLElement> {
+    return this.registry.get(id);
+  }
+}
+
+export default SpanRenderer;
@@ -1,12 +1,31 @@
 // @flow
 
 import * as dom from './dom';
+import { Css } from './consts';
+import type { ElementPredicate } from './dom';
 import HtmlHighlighter from './htmlhighlighter';
+import ShadowText from './shadowtext';
+import { createRenderTransform } from './rendering';
+import * as util from './util';
 import logger from './logger';
 
 export type Marker = {| node: Node, offset: number |};
 export type MarkerArray = Array<Marker>;
 
+// Describes a change to the text: the `removed` characters at `start` were replaced by the text now
+// spanning `start` to `end`
+export type ContentChange = {| start: number, end: number, removed: number |};
+
+// Text, offset markers and block boundaries of a DOM sub-tree, with offsets relative to its start
+type Fragment = { text: string, markers: MarkerArray, boundaries: Array<number> };
+
+export type TextContentOptions = {
+  exclude?: string,
+  excludeHidden?: boolean,
+  shadowRoots?: boolean,
+  namespace?: string,
+};
+
 /**
  * Class responsible for building and keeping a convenient representation
  * of the text present in an HTML DOM sub-tree.
@@ -16,15 +35,36 @@ class TextContent {
   text: string;
   // FIXME: add type
   markers: MarkerArray;
+  // Index of the marker descriptors by text node
+  nodes: WeakMap<Node, Marker>;
+  boundaries: Array<number>;
+  shadows: Map<string, ShadowText>;
+  exclude: ElementPredicate;
+  shadowRoots: boolean;
+  namespace: string;
 
   /**
    * Class constructor
+   *
+   * Elements matching the `exclude` selector list or bearing the `data-hh-ignore` attribute are
+   * excluded from the text content, along with their descendants.  When `excludeHidden` is `true`,
+   * elements hidden from view with `display: none` are also excluded.  When `shadowRoots` is
+   * `true`, the contents of open shadow roots are included in place of the children of their hosts,
+   * as rendered.  `namespace` is the base CSS class of the highlight elements within `root`.
+   *
    * @param {Node|jQuery} root - Reference to a DOM element
+   * @param {TextContentOptions} [options] - Exclusion and traversal options
    */
-  constructor(root: HTMLElement) {
+  constructor(root: HTMLElement, options: TextContentOptions = {}) {
     this.root = root;
+    this.exclude = dom.createExclusion(options.exclude || '', options.excludeHidden === true);
+    this.shadowRoots = options.shadowRoots === true;
+    this.namespace = options.namespace || Css.highlight;
     this.text = '';
     this.markers = [];
+    this.nodes = new WeakMap();
+    this.boundaries = [];
+    this.shadows = new Map();
     this.refresh();
   }
 
@@ -34,7 +74,9 @@ class TextContent {
    * The internal representation of the text present in the DOM sub-tree of the `root` consists of
    * an array of global offsets for every text node in the document, and a reference to the
    * corresponding text node, stored in marker descriptors. In addition, a regular string (`text`)
-   * holds the text contents of the document to enable text-based searches.
+   * holds the text contents of the document to enable text-based searches.  Lastly, the global
+   * offsets at which block-level elements and line breaks start or end are stored in ascending
+   * order in `boundaries`.
    *
    * A marker descriptor is of the form:
    * ```
@@ -48,9 +90,14 @@ class TextContent {
    * */
   refresh(): void {
     this.text = '';
+    this.boundaries = [];
+    this.shadows = new Map();
     let markers = (this.markers = []);
     const offset = this.visit_(this.root, 0);
 
+    this.nodes = new WeakMap();
+    markers.forEach(marker => this.nodes.set(marker.node, marker));
+
     // FIXME: bypass when not in debug mode
     // Sanity check
     if (this.markers.length !== 0) {
@@ -61,6 +108,190 @@ class TextContent {
     }
   }
 
+  /**
+   * Return the folded shadow of the text
+   *
+   * The folded shadow is a normalised, diacritic-stripped projection of `text` that makes it
+   * possible to search the text in a diacritic- and Unicode normalisation-insensitive manner.  Hits
+   * found in the shadow are mapped back to offsets in `text` via its `toOriginal` method.
+   *
+   * The shadow is computed on first access and cached until the text is next refreshed.
+   *
+   * @returns {ShadowText} Folded shadow of the text
+   */
+  getFolded(): ShadowText {
+    return this.getShadow(true, false);
+  }
+
+  /**
+   * Return the rendered shadow of the text
+   *
+   * The rendered shadow is a projection of `text` as it is presented on screen, following the rules
+   * of the `innerText` property: runs of collapsible whitespace are collapsed according to the
+   * `white-space` property, block boundaries become line breaks and the `text-transform` property
+   * is applied.  Hits found in the shadow are mapped back to offsets in `text` via its `toOriginal`
+   * method.
+   *
+   * The shadow is computed on first access and cached until the text is next refreshed.
+   *
+   * @returns {ShadowText} Rendered shadow of the text
+   */
+  getRendered(): ShadowText {
+    return this.getShadow(false, false, true);
+  }
+
+  /**
+   * Return a shadow of the text
+   *
+   * When `fold` is `true`, the shadow is folded as described in `getFolded`.  When `spacing` is
+   * `true`, a virtual space is inserted at every block boundary that separates two characters, so
+   * that words in adjacent blocks don't run together.  When `rendered` is `true`, the shadow is a
+   * projection of the rendered text as described in `getRendered`, in which case `spacing` is
+   * ignored.  Hits found in the shadow are mapped back to offsets in `text` via its `toOriginal`
+   * method, meaning offsets in `text` are never shifted.
+   *
+   * Shadows are computed on first access and cached until the text is next refreshed.
+   *
+   * @param {boolean} fold - Whether to fold the text
+   * @param {boolean} spacing - Whether to insert virtual spaces at block boundaries
+   * @param {boolean} [rendered=false] - Whether to project the rendered text
+   * @returns {ShadowText} Shadow of the text
+   */
+  getShadow(fold: boolean, spacing: boolean, rendered: boolean = false): ShadowText {
+    const key = `${String(fold)}:${String(spacing && !rendered)}:${String(rendered)}`;
+    let shadow = this.shadows.get(key);
+    if (shadow == null) {
+      const boundaries = spacing ? new Set(this.boundaries) : new Set();
+      const project = rendered
+        ? createRenderTransform(this.text, this.markers, this.boundaries, this.root)
+        : (chunk, offset) => (offset > 0 && boundaries.has(offset) ? ' ' : '') + chunk;
+      const transform = (chunk, offset) => {
+        const projected = project(chunk, offset);
+        return fold && projected != null ? util.fold(projected) : projected;
+      };
+      shadow = new ShadowText(this.text, transform);
+      this.shadows.set(key, shadow);
+    }
+
+    return shadow;
+  }
+
+  /**
+   * Determine if a span of text crosses a block boundary
+   *
+   * @param {number} index - Global offset of the span
+   * @param {number} length - Length of the span
+   * @returns {boolean} `true` if a block boundary lies strictly within the span
+   */
+  crossesBoundary(index: number, length: number): boolean {
+    const boundaries = this.boundaries;
+    let min = 0;
+    let max = boundaries.length;
+
+    // Find the first boundary after `index`
+    while (min < max) {
+      const mid = Math.floor((min + max) / 2);
+
+      if (boundaries[mid] <= index) {
+        min = mid + 1;
+      } else {
+        max = mid;
+      }
+    }
+
+    return min < boundaries.length && boundaries[min] < index + length;
+  }
+
+  /**
+   * Widen a span of text to the edges of the blocks containing it
+   *
+   * The span is widened to the nearest block boundaries before its start and after its end, and
+   * then to the edges of the text nodes at either end, so that the result may be passed to `slice`.
+   *
+   * @param {number} start - Global offset of the span
+   * @param {number} end - Global offset at which the span ends, exclusive
+   * @returns {{start: number, end: number}} Global offsets of the widened span
+   */
+  widen(start: number, end: number): { start: number, end: number } {
+    const { boundaries, markers } = this;
+    if (markers.length < 1) {
+      return { start: 0, end: this.text.length };
+    }
+
+    let min = 0;
+    let max = boundaries.length;
+
+    // Find the first boundary at or after `start`
+    while (min < max) {
+      const mid = Math.floor((min + max) / 2);
+
+      if (boundaries[mid] < start) {
+        min = mid + 1;
+      } else {
+        max = mid;
+      }
+    }
+
+    const from = min > 0 ? boundaries[min - 1] : 0;
+
+    // Find the first boundary after `end`
+    max = boundaries.length;
+    while (min < max) {
+      const mid = Math.floor((min + max) / 2);
+
+      if (boundaries[mid] <= end) {
+        min = mid + 1;
+      } else {
+        max = mid;
+      }
+    }
+
+    const to = min < boundaries.length ? boundaries[min] : this.text.length;
+    return {
+      start: markers[this.indexOf(from)].offset,
+      end: to > from ? this.endOf_(this.indexOf(to - 1)) : to,
+    };
+  }
+
+  /**
+   * Return a copy of the text content restricted to a span of text
+   *
+   * The copy refers to the same text nodes but has marker descriptors of its own, with offsets
+   * relative to the start of the span, and does not reflect later changes to the text.  Useful to
+   * search a portion of the text without scanning the whole of it.  The span must start and end at
+   * the edges of text nodes, as returned by `widen`.
+   *
+   * @param {number} start - Global offset of the span
+   * @param {number} end - Global offset at which the span ends, exclusive
+   * @returns {TextContent} Copy of the text content
+   */
+  slice(start: number, end: number): TextContent {
+    const copy: TextContent = Object.create(TextContent.prototype);
+    copy.root = this.root;
+    copy.exclude = this.exclude;
+    copy.shadowRoots = this.shadowRoots;
+    copy.namespace = this.namespace;
+    copy.text = this.text.substring(start, end);
+    copy.markers = [];
+    copy.nodes = new WeakMap();
+    copy.boundaries = this.boundaries.filter(b => b >= start && b <= end).map(b => b - start);
+    copy.shadows = new Map();
+
+    const markers = this.markers;
+    for (let i = markers.length > 0 ? this.indexOf(start) : 0; i < markers.length; ++i) {
+      const { node, offset } = markers[i];
+      if (offset >= end) {
+        break;
+      }
+
+      const marker = { node, offset: offset - start };
+      copy.markers.push(marker);
+      copy.nodes.set(node, marker);
+    }
+
+    return copy;
+  }
+
   /**
    * Truncate text node
    *
@@ -98,10 +329,9 @@ class TextContent {
       const node = document.createTextNode(text.substr(0, start));
       // Since we're creating a new text node out of the old text node, we need to add a new entry
       // to the markers array
-      this.markers.splice(index, 0, {
-        offset: marker.offset,
-        node: dom.insertBefore(node, marker.node),
-      });
+      const prefix = { offset: marker.offset, node: dom.insertBefore(node, marker.node) };
+      this.markers.splice(index, 0, prefix);
+      this.nodes.set(node, prefix);
 
       ++index;
     }
@@ -116,6 +346,8 @@ class TextContent {
       document.createTextNode(text.substr(start, end - start + 1)),
       marker.node
     );
+    this.nodes.delete(old);
+    this.nodes.set(marker.node, marker);
 
     // Chars end + 1..length
     if (end !== text.length - 1) {
@@ -125,10 +357,12 @@ class TextContent {
 
       // We're again creating a new text node out of the old text node and thus need to add a new
       // entry to the markers array.
-      this.markers.splice(index + 1, 0, {
+      const suffix = {
         offset: marker.offset + end - start + 1,
         node: dom.insertAfter(document.createTextNode(text.substr(end + 1)), marker.node),
-      });
+      };
+      this.markers.splice(index + 1, 0, suffix);
+      this.nodes.set(suffix.node, suffix);
     }
 
     // From global state since we don't have access to the `options` descriptor.
@@ -141,6 +375,78 @@ class TextContent {
     return index;
   }
 
+  /**
+   * Merge a text node with its adjacent text nodes
+   *
+   * Reverses the truncation of text nodes once the highlight elements that separated them are
+   * removed, leaving the DOM as the `normalize` method would: the run of contiguous text nodes
+   * containing `node` is merged into its first non-empty text node and empty text nodes are
+   * removed.  The marker descriptors of the run are replaced by that of its first text node, which
+   * is updated to reference the merged node.  The text and the offsets of all markers are left
+   * unchanged.
+   *
+   * `Range` instances within the text node the run is merged into remain valid, as do those
+   * outside the run.  Those within its other text nodes are not remapped and refer to detached
+   * nodes; they need computing anew, e.g. from their global offsets.
+   *
+   * @param {Node} node - Text node to merge; ignored if no longer attached
+   */
+  merge(node: Node): void {
+    if (node.nodeType !== 3 || node.parentNode == null) {
+      return;
+    }
+
+    let first = node;
+    while (first.previousSibling != null && first.previousSibling.nodeType === 3) {
+      first = first.previousSibling;
+    }
+
+    const run = [];
+    for (let cur = first; cur != null && cur.nodeType === 3; cur = cur.nextSibling) {
+      run.push(cur);
+    }
+
+    const target = run.find(cur => cur.nodeValue.length > 0);
+    if (run.length < 2 && target != null) {
+      return;
+    }
+
+    let index = -1;
+    for (let i = 0; index < 0 && i < run.length; ++i) {
+      index = this.find(run[i]);
+    }
+
+    run.forEach(cur => this.nodes.delete(cur));
+
+    if (target != null) {
+      target.nodeValue = run.map(cur => cur.nodeValue).join('');
+    }
+
+    run.filter(cur => cur !== target).forEach(cur => (cur.parentNode: any).removeChild(cur));
+
+    // Markers of the text nodes in the run are contiguous
+    if (index >= 0) {
+      const nodes = new Set(run);
+      let count = 1;
+      while (index + count < this.markers.length && nodes.has(this.markers[index + count].node)) {
+        ++count;
+      }
+
+      if (target == null) {
+        this.markers.splice(index, count);
+      } else {
+        this.markers[index].node = target;
+        this.markers.splice(index + 1, count - 1);
+        this.nodes.set(target, this.markers[index]);
+      }
+    }
+
+    // From global state since we don't have access to the `options` descriptor.
+    if (HtmlHighlighter.debug) {
+      this.assert();
+    }
+  }
+
   /**
    * Return the index of the marker descriptor of a given text offset.
    *
@@ -175,9 +481,24 @@ class TextContent {
     return min - 1;
   }
 
+  /**
+   * Return the marker descriptor of a given text node
+   *
+   * Looks the text node up in an index kept up to date as the text nodes are truncated, merged or
+   * patched, in constant time.
+   *
+   * @param {Node} node - Reference to the text node to look up
+   * @returns {Marker | null} The marker descriptor of `node` or `null` if not found
+   */
+  markerOf(node: Node): Marker | null {
+    return this.nodes.get(node) || null;
+  }
+
   /**
    * Find the index of the marker descriptor of a given text node element
    *
+   * Note: employs the binary search algorithm.
+   *
    * @param {Node} element - Reference to the text node to look up
    * @param {number} [start=0] - Start marker index if known for a fact that the text node is to be
    * found **after** a certain offset
@@ -185,21 +506,18 @@ class TextContent {
    * @returns {number} The marker index of `element` or `-1` if not found.
    */
   find(element: Node, start: ?number = 0): number {
-    if (element.nodeType !== 3) {
+    const marker = this.markerOf(element);
+    if (marker == null) {
       return -1;
     }
 
-    for (
-      let i = start == null ? 0 : start, l = this.markers.length;
-      i < l;
-      ++i // eslint-disable-line indent
-    ) {
-      if (this.markers[i].node === element) {
-        return i;
-      }
+    // Markers of empty text nodes share their offset with the marker that follows
+    let index = this.indexOf(marker.offset);
+    while (index < this.markers.length && this.markers[index] !== marker) {
+      ++index;
     }
 
-    return -1;
+    return index >= this.markers.length || (start != null && index < start) ? -1 : index;
   }
 
   /**
@@ -218,29 +536,257 @@ class TextContent {
     return this.markers[index];
   }
 
-  visit_(node: Node, offset: number): number {
+  /**
+   * Patch the internal representation of the text to reflect DOM mutations
+   *
+   * Text nodes inserted into, removed from or changed within the DOM sub-tree of the `root` are
+   * processed in the order given by `records`, which are typically produced by a
+   * `MutationObserver` observing the `root` with the `childList`, `characterData` and `subtree`
+   * options.  Block boundaries within removed text are discarded whereas those at its edges are
+   * retained.  Mutations within shadow roots are not supported.
+   *
+   * @param {Array<MutationRecord>} records - Mutation records
+   * @returns {Array<ContentChange>} Changes made to the text, in order; the offsets of each are
+   * relative to the text as left by the preceding changes
+   */
+  patch(records: Array<MutationRecord>): Array<ContentChange> {
+    const changes = [];
+
+    for (const record of records) {
+      if (record.type === 'characterData') {
+        changes.push(...this.update_(record.target));
+      } else if (record.type === 'childList') {
+        for (const node of record.removedNodes) {
+          changes.push(...this.remove_(node));
+        }
+
+        for (const node of record.addedNodes) {
+          changes.push(...this.insert_(node));
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Add the text of a node inserted into the DOM
+   *
+   * Text nodes within the inserted node that are already represented, as is the case of nodes
+   * moved within the DOM, are first removed.
+   * @access private
+   *
+   * @param {Node} node - Inserted node
+   * @returns {Array<ContentChange>} Changes made to the text
+   */
+  insert_(node: Node): Array<ContentChange> {
+    if (
+      node === this.root ||
+      !this.root.contains(node) ||
+      dom.isExcluded(node, this.root, this.exclude)
+    ) {
+      return [];
+    }
+
+    const fragment = { text: '', markers: [], boundaries: [] };
+    this.visit_(node, 0, fragment, node);
+    if (fragment.markers.length < 1) {
+      return [];
+    }
+
+    const changes = this.remove_(node);
+    const markers = this.markers;
+    let min = 0;
+    let max = markers.length;
+
+    // Find the first text node following the inserted node
+    while (min < max) {
+      const mid = Math.floor((min + max) / 2);
+
+      if (node.compareDocumentPosition(markers[mid].node) & Node.DOCUMENT_POSITION_PRECEDING) {
+        min = mid + 1;
+      } else {
+        max = mid;
+      }
+    }
+
+    const start = min < markers.length ? markers[min].offset : this.text.length;
+    changes.push(this.splice_(min, 0, start, start, fragment));
+    return changes;
+  }
+
+  /**
+   * Remove the text of a node removed from the DOM, if represented
+   * @access private
+   *
+   * @param {Node} node - Removed node
+   * @returns {Array<ContentChange>} Changes made to the text
+   */
+  remove_(node: Node): Array<ContentChange> {
+    const nodes = new Set();
+    const collect = cur => {
+      if (cur.nodeType === 3) {
+        nodes.add(cur);
+      } else {
+        Array.from(cur.childNodes).forEach(collect);
+      }
+    };
+
+    collect(node);
+    if (nodes.size < 1) {
+      return [];
+    }
+
+    // Remove runs of contiguous markers, last first so that indices of earlier runs remain valid
+    const changes = [];
+    const empty = { text: '', markers: [], boundaries: [] };
+    for (let i = this.markers.length - 1; i >= 0; --i) {
+      if (nodes.has(this.markers[i].node)) {
+        const last = i;
+        while (i > 0 && nodes.has(this.markers[i - 1].node)) {
+          --i;
+        }
+
+        const start = this.markers[i].offset;
+        changes.push(this.splice_(i, last - i + 1, start, this.endOf_(last), empty));
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Update the text of a text node whose contents changed
+   * @access private
+   *
+   * @param {Node} node - Changed text node
+   * @returns {Array<ContentChange>} Changes made to the text
+   */
+  update_(node: Node): Array<ContentChange> {
+    const index = this.find(node);
+    if (index < 0 || !this.root.contains(node)) {
+      return [];
+    }
+
+    const start = this.markers[index].offset;
+    const fragment = { text: node.nodeValue, markers: [{ node, offset: 0 }], boundaries: [] };
+    return [this.splice_(index, 1, start, this.endOf_(index), fragment)];
+  }
+
+  /**
+   * Return the global offset at which the text of a marker ends
+   * @access private
+   *
+   * @param {number} index - Marker index
+   * @returns {number} End offset, exclusive
+   */
+  endOf_(index: number): number {
+    return index + 1 < this.markers.length ? this.markers[index + 1].offset : this.text.length;
+  }
+
+  /**
+   * Replace markers, and the text between two global offsets, with a fragment
+   *
+   * Offsets of subsequent markers and boundaries are shifted accordingly and cached shadows
+   * discarded.
+   * @access private
+   *
+   * @param {number} index - Index of the first marker to replace
+   * @param {number} count - Number of markers to replace
+   * @param {number} start - Global offset of the text to replace
+   * @param {number} end - Global offset at which the text to replace ends, exclusive
+   * @param {Fragment} fragment - Fragment to insert, with offsets relative to `start`
+   * @returns {ContentChange} Change made to the text
+   */
+  splice_(
+    index: number,
+    count: number,
+    start: number,
+    end: number,
+    fragment: Fragment
+  ): ContentChange {
+    const delta = fragment.text.length - (end - start);
+    const shift = offset => (offset >= end ? offset + delta : offset);
+
+    this.markers.slice(index + count).forEach(marker => {
+      marker.offset += delta;
+    });
+
+    const markers = fragment.markers.map(marker => ({
+      node: marker.node,
+      offset: marker.offset + start,
+    }));
+    this.markers.splice(index, count, ...markers).forEach(marker => this.nodes.delete(marker.node));
+    markers.forEach(marker => this.nodes.set(marker.node, marker));
+
+    this.text = this.text.substring(0, start) + fragment.text + this.text.substring(end);
+
+    // Merge boundaries, discarding those within the replaced text
+    const boundaries = this.boundaries;
+    this.boundaries = [];
+    boundaries.filter(b => b <= start).forEach(b => this.addBoundary_(b));
+    fragment.boundaries.forEach(b => this.addBoundary_(b + start));
+    boundaries.filter(b => b >= end).forEach(b => this.addBoundary_(shift(b)));
+
+    this.shadows = new Map();
+    return { start, end: start + fragment.text.length, removed: end - start };
+  }
+
+  /**
+   * Visit a DOM sub-tree, adding its text, offset markers and block boundaries to a fragment
+   * @access private
+   *
+   * @param {Node} node - Node to visit
+   * @param {number} offset - Offset of the node in the fragment
+   * @param {Fragment} [into] - Fragment to add to; the instance itself by default
+   * @param {Node} [root] - Root of the sub-tree, which is never excluded
+   * @returns {number} Offset at which the text of the node ends
+   */
+  visit_(node: Node, offset: number, into: Fragment = this, root: Node = this.root): number {
     // Only interested in text nodes
     if (node.nodeType === 3) {
       const content = node.nodeValue;
       const length = content.length;
 
       // Save reference to text node and store global offset in the markers array
-      this.markers.push({ node: node, offset: offset });
-      this.text += content;
+      into.markers.push({ node: node, offset: offset });
+      into.text += content;
       return offset + length;
     }
 
-    // If current node is not of type text, process its children nodes, if any.
-    const ch = node.childNodes;
+    // Skip excluded sub-trees
+    if (node !== root && node.nodeType === 1 && this.exclude((node: any))) {
+      return offset;
+    }
+
+    // If current node is not of type text, process its children nodes, if any.  Block-level
+    // elements delimit their contents with boundaries.
+    const block = dom.isBlockBoundary(node);
+    if (block) {
+      this.addBoundary_(offset, into);
+    }
+
+    const ch = dom.childNodesOf(node, this.shadowRoots);
     if (ch.length > 0) {
       for (let i = 0, l = ch.length; i < l; ++i) {
-        offset = this.visit_(ch[i], offset);
+        offset = this.visit_(ch[i], offset, into, root);
       }
     }
 
+    if (block) {
+      this.addBoundary_(offset, into);
+    }
+
     return offset;
   }
 
+  addBoundary_(offset: number, into: Fragment = this): void {
+    const boundaries = into.boundaries;
+    if (boundaries.length < 1 || boundaries[boundaries.length - 1] !== offset) {
+      boundaries.push(offset);
+    }
+  }
+
   /**
    * Assert textual representation is valid
    *
@@ -4,9 +4,82 @@ import merge from 'merge';
 
 import TextContent from './textcontent';
 import Finder from './finder';
-import Range from './range';
+import * as util from './util';
+import * as regexp from './regex';
 
-export type TextSubject = string | RegExp;
+export type TextQuery = {|
+  text: string,
+  ignoreWhitespace?: boolean,
+  fold?: boolean,
+  wholeWord?: boolean,
+  caseSensitive?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+|};
+
+export type RegexQuery = {|
+  regex: RegExp,
+  group?: number | string,
+|};
+
+export type TextSubject = string | RegExp | TextQuery | RegexQuery;
+
+export type TextFinderOptions = {
+  ignoreWhitespace?: boolean,
+  fold?: boolean,
+  wholeWord?: boolean,
+  caseSensitive?: boolean,
+  withinBlocks?: boolean,
+  blockSpacing?: boolean,
+  rendered?: boolean,
+};
+
+/**
+ * Resolve the matching options applying to a subject
+ *
+ * @param {TextSubject} subject - Subject to resolve options of
+ * @param {TextFinderOptions} options - Default matching options
+ * @returns {TextFinderOptions} Default options overridden by those given in a query object
+ */
+function resolve(subject: TextSubject, options: TextFinderOptions): TextFinderOptions {
+  if (typeof subject === 'string' || subject instanceof RegExp || subject.text == null) {
+    return options;
+  }
+
+  const query: Object = subject;
+  const resolved = merge({}, options);
+  for (const key of Object.keys(query)) {
+    if (key !== 'text' && query[key] != null) {
+      resolved[key] = query[key];
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Compile a regular expression query into a global regular expression that exposes the offsets
+ * of its capture groups
+ *
+ * Throws an exception if the capture group does not exist in the regular expression.
+ *
+ * @param {RegexQuery} query - Regular expression query
+ * @returns {RegExp} Regular expression
+ */
+function compileGroup(query: RegexQuery): RegExp {
+  const { regex, group } = query;
+  const { count, names } = regexp.groupsOf(regex);
+  if (
+    typeof group === 'number'
+      ? group < 0 || group > count || group !== Math.floor(group)
+      : names.indexOf(group) < 0
+  ) {
+    throw new Error(`Invalid capture group: ${String(group)}`);
+  }
+
+  return regexp.withIndices(regex);
+}
 
 /* FIXME: create a class for matching of regular expression subjects. */
 /**
@@ -22,59 +95,132 @@ class TextFinder extends Finder {
    * @returns {boolean} `true` if subject can be used to instantiate a `TextFinder` class
    */
   static isSubject(subject: any): boolean {
-    return typeof subject === 'string' || subject instanceof RegExp;
+    return (
+      typeof subject === 'string' ||
+      subject instanceof RegExp ||
+      (subject != null && (typeof subject.text === 'string' || subject.regex instanceof RegExp))
+    );
+  }
+
+  /**
+   * Compile a subject into a regular expression
+   *
+   * `RegExp` subjects are returned untouched, unless they lack the `g` flag in which case a global
+   * copy is returned.  Regular expression queries specifying a capture group are compiled with the
+   * `d` flag, where supported.  String subjects, or the `text` attribute of query objects, are
+   * escaped and compiled with the `gi` flags, or just the `g` flag when the `caseSensitive` option
+   * is `true`.  Options given in a query object take precedence over those in `options`.
+   *
+   * When the `ignoreWhitespace` option is `true`, any run of whitespace in the subject matches any
+   * run of whitespace in the document.  When the `fold` option is `true`, the subject is folded so
+   * it can be matched against the folded shadow of the text.
+   *
+   * @param {TextSubject} subject - Subject to compile
+   * @param {TextFinderOptions} options - Default matching options
+   * @returns {RegExp} Regular expression equivalent of `subject`
+   */
+  static compile(subject: TextSubject, options: TextFinderOptions = {}): RegExp {
+    if (subject instanceof RegExp) {
+      return subject.global ? subject : new RegExp(subject.source, subject.flags + 'g');
+    } else if (typeof subject !== 'string' && subject.regex instanceof RegExp) {
+      return subject.group == null
+        ? TextFinder.compile(subject.regex)
+        : compileGroup((subject: any));
+    }
+
+    options = resolve(subject, options);
+    let text = typeof subject === 'string' ? subject : (subject: any).text;
+    if (options.fold === true) {
+      text = util.fold(text);
+    }
+
+    const pattern =
+      options.ignoreWhitespace === true
+        ? text
+            .split(/\s+/)
+            .map(regexp.escape)
+            .join('\\s+')
+        : regexp.escape(text);
+
+    return new RegExp(pattern, options.caseSensitive === true ? 'g' : 'gi');
   }
 
   /**
    * Class constructor
    *
+   * When the `fold` option is `true`, matching takes place against the folded shadow of the text
+   * and hits are mapped back to exact offsets in the original text.  When the `wholeWord` option is
+   * `true`, hits that start or end within a word are discarded.
+   *
+   * When the `blockSpacing` option is `true`, matching takes place against a shadow of the text
+   * containing a virtual space at every block boundary; e.g. "end. Next" matches the text of
+   * `<p>end.</p><p>Next</p>`.  When the `withinBlocks` option is `true`, hits crossing a block
+   * boundary are discarded.
+   *
+   * When the `rendered` option is `true`, matching takes place against the rendered shadow of the
+   * text, as described in `TextContent.getRendered`, so that queries match the text as it appears
+   * on screen.  Hits are nonetheless mapped back to the real text nodes.
+   *
+   * The `fold`, `blockSpacing` and `rendered` options only apply to string subjects and text query
+   * objects: regular expressions are always matched against the text itself, since their source
+   * cannot be projected like the text is; e.g. `/Zürich/` would never match folded text.
+   *
+   * When a regular expression query specifies a capture group, by number or name, only the text of
+   * the group is matched.  Matches where the group did not participate are skipped, as are
+   * zero-length matches.
+   *
    * @param {TextContent} content - Reference to `TextContent` instance
-   * @param {TextFinderSubject} subject - Subject string to match
+   * @param {TextSubject} subject - Subject string, regular expression or query object to match
+   * @param {TextFinderOptions} [options] - Default matching options
    */
-  constructor(content: TextContent, subject: TextSubject) {
+  constructor(content: TextContent, subject: TextSubject, options: TextFinderOptions = {}) {
     // Construct base class
     super(content);
 
     // Build an array containing all hits of `subject´
     let match;
-    const re =
-      subject instanceof RegExp
-        ? subject
-        : new RegExp(subject.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&'), 'gi');
+    const re = TextFinder.compile(subject, options);
+    const group = (subject: any).regex instanceof RegExp ? (subject: any).group : null;
+    const { fold, wholeWord, withinBlocks, blockSpacing, rendered } = resolve(subject, options);
+    const literal = !(subject instanceof RegExp) && !((subject: any).regex instanceof RegExp);
+    const shadow =
+      literal && (fold === true || blockSpacing === true || rendered === true)
+        ? content.getShadow(fold === true, blockSpacing === true, rendered === true)
+        : null;
+    const text = shadow == null ? content.text : shadow.text;
 
-    while ((match = re.exec(this.content.text)) !== null) {
-      this.results.push({ length: match[0].length, index: match.index });
-    }
-  }
+    while ((match = re.exec(text)) !== null) {
+      // Advance past zero-length matches to avoid looping forever
+      if (match[0].length === 0) {
+        ++re.lastIndex;
+      }
 
-  /**
-   * Return next available match
-   *
-   * @returns {Range | null} Returns a `Range` if a match is available, or `null` if no more
-   * matches are available.
-   */
-  next(): Range | null {
-    if (this.current >= this.results.length) {
-      return null;
-    }
+      const hit =
+        group == null
+          ? { index: match.index, length: match[0].length }
+          : regexp.groupSpan(match, group);
+      if (hit == null || hit.length === 0) {
+        continue;
+      }
 
-    const match = this.results[this.current];
-    const length = match.length;
-    const start = this.getAt_(match.index);
-    let end;
-
-    // Re-use start marker descriptor if end offset within bounds of start text node
-    if (start.offset + length <= start.marker.node.nodeValue.length) {
-      end = merge({}, start);
-      end.offset = start.offset + length - 1;
-    } else {
-      end = this.getAt_(match.index + length - 1);
-    }
+      const end = hit.index + hit.length;
+      if (
+        wholeWord === true &&
+        (util.isWithinWord(text, hit.index) || util.isWithinWord(text, end))
+      ) {
+        // Resume search from the next character since another hit may overlap the discarded one.
+        re.lastIndex = match.index + 1;
+        continue;
+      }
 
-    const range = new Range(this.content, start, end);
-    ++this.current;
+      const original = shadow == null ? hit : shadow.toOriginal(hit.index, hit.length);
+      if (withinBlocks === true && content.crossesBoundary(original.index, original.length)) {
+        re.lastIndex = match.index + 1;
+        continue;
+      }
 
-    return range;
+      this.results.push(original);
+    }
   }
 }
 
@@ -1,20 +1,38 @@
 // @flow
 
+import * as dom from './dom';
+import type { ElementPredicate } from './dom';
+
 /**
  * Convenient class for visiting all text nodes that are siblings and descendants of a given root
  * node
+ *
+ * Text nodes within excluded elements are skipped.  When shadow root traversal is enabled, the
+ * contents of open shadow roots are visited in place of the children of their hosts, as rendered.
  */
 class TextNodeVisitor {
   root: Node;
   current: ?Node;
+  exclude: ElementPredicate;
+  shadowRoots: boolean;
 
   /**
    * Class constructor
    *
    * @param {Node} node - The node where to start visiting the DOM
    * @param {Node} [root=null] - The root node where to stop visiting the DOM
+   * @param {ElementPredicate} [exclude] - Predicate determining if an element is excluded, along
+   * with its descendants; usually that of the `TextContent` instance
+   * @param {boolean} [shadowRoots=false] - Whether to traverse open shadow roots
    */
-  constructor(node: Node, root: ?Node) {
+  constructor(
+    node: Node,
+    root: ?Node,
+    exclude: ElementPredicate = () => false,
+    shadowRoots: boolean = false
+  ) {
+    this.exclude = exclude;
+    this.shadowRoots = shadowRoots;
     if (root == null) {
       if (document.body == null) {
         throw new Error('document body not defined');
@@ -54,18 +72,21 @@ class TextNodeVisitor {
    * @param {Node | null} node - current node
    * @returns {Node} next - node or `null` if none available or the root node was reached
    */
-  nextNode_(node: Node | null): ?Node {
+  nextNode_(node: ?Node): ?Node {
     // Abort if invalid or root node; otherwise attempt to advance to sibling node
     if (node == null) {
       throw new Error('Invalid state: outside of root sub-tree');
     } else if (node === this.root) {
       return null;
-    } else if (node.nextSibling != null) {
-      return node.nextSibling;
+    }
+
+    const sibling = dom.nextSiblingOf(node, this.shadowRoots);
+    if (sibling != null) {
+      return sibling;
     }
 
     // Move up to sibling of parent node
-    return this.nextNode_((node: any).parentNode);
+    return this.nextNode_(dom.parentOf(node, this.shadowRoots));
   }
 
   /**
@@ -82,8 +103,8 @@ class TextNodeVisitor {
       return node;
     }
 
-    const ch = node.childNodes;
-    if (ch.length > 0) {
+    const ch = dom.childNodesOf(node, this.shadowRoots);
+    if (ch.length > 0 && !(node.nodeType === 1 && this.exclude((node: any)))) {
       return this.nextText_(ch[0]);
     }
 
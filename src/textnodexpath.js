@@ -1,22 +1,44 @@
 // @flow
 
+import * as dom from './dom';
 import { Css } from './consts';
 import logger from './logger';
+import type { ElementPredicate } from './dom';
 
 export type XPathPart = {| tag: string, index: number |};
 
+// XPath step denoting the open shadow root of the element given by the preceding step
+const SHADOW_ROOT = '#shadow-root';
+
 /**
  * This class builds XPath representations of text nodes, optionally within a DOM sub-tree.  If a
  * root node is specified, the XPath produced will include the elements up to but **not** including
  * said root node.
  *
+ * Text nodes within excluded elements can neither be represented nor referenced.
+ *
+ * Text nodes within open shadow roots are represented by way of a `#shadow-root` step that
+ * follows the step of the shadow root's host element and precedes the steps within the shadow
+ * root; e.g. `/div[1]/#shadow-root/p[2]/text()[1]`.
+ *
  * @param {DOMElement} [root=null] - Root DOM node
+ * @param {ElementPredicate} [exclude] - Predicate determining if an element is excluded, along with
+ * its descendants; usually that of the `TextContent` instance
+ * @param {string} [namespace] - Base CSS class of highlight elements
  */
 class TextNodeXpath {
   root: Node;
-
-  constructor(root: Node) {
+  exclude: ElementPredicate;
+  namespace: string;
+
+  constructor(
+    root: Node,
+    exclude: ElementPredicate = () => false,
+    namespace: string = Css.highlight
+  ) {
     this.root = root;
+    this.exclude = exclude;
+    this.namespace = namespace;
   }
 
   /**
@@ -25,12 +47,16 @@ class TextNodeXpath {
    * The XPath produced of the text node is fully normalised and unaffected by the current state of
    * text node fragmentation caused by the presence of highlight containers.
    *
-   * Throws an exception if `node` is <strong>not</strong> a text node.
+   * Throws an exception if `node` is <strong>not</strong> a text node or is excluded.
    *
    * @param {Node} node - Text node to compute XPath representation of
    * @returns {string} XPath representation
    */
   xpathOf(node: Node): string {
+    if (dom.isExcluded(node, this.root, this.exclude)) {
+      throw new Error('Specified node is excluded');
+    }
+
     // Note: no checks required since `indexOfText_´ throws exception if node invalid: null or not
     // like text.
     let xpath = '/text()[' + this.indexOfText_(node) + ']';
@@ -44,8 +70,19 @@ class TextNodeXpath {
     );
     /* eslint-enable curly */
 
-    // Start traversing upwards from `node´'s parent node until we hit `root´ (or null)
-    for (; node != null && node !== this.root && node.nodeType === 1; node = node.parentNode) {
+    // Start traversing upwards from `node´'s parent node until we hit `root´ (or null), crossing
+    // over from shadow roots to their hosts
+    for (; node != null && node !== this.root; node = node.parentNode) {
+      if (node.nodeType === 11 && (node: any).host != null) {
+        xpath = '/' + SHADOW_ROOT + xpath;
+        node = (node: any).host;
+        if (node === this.root) {
+          break;
+        }
+      } else if (node.nodeType !== 1) {
+        break;
+      }
+
       const id = this.indexOfElement_(node);
       xpath = '/' + node.nodeName.toLowerCase() + '[' + id + ']' + xpath;
     }
@@ -82,6 +119,16 @@ class TextNodeXpath {
     // since it'll be empty due to the starting forward slash in the XPath string.
     let i = 1;
     for (const l = parts.length - 1; i < l; ++i) {
+      if (parts[i] === SHADOW_ROOT) {
+        cur = (cur: any).shadowRoot;
+        if (cur == null) {
+          logger.error('failed to find open shadow root:', xpath);
+          return null;
+        }
+
+        continue;
+      }
+
       part = this.xpathPart_(parts[i]);
       cur = this.nthElementOf_((cur: any), part.tag, part.index);
       if (cur == null) {
@@ -108,6 +155,9 @@ allowed.  Offending XPath representation: ${xpath}`
     if (cur == null || cur.nodeType !== 3) {
       logger.error('element at specified XPath NOT a text node:', xpath, part, cur);
       return null;
+    } else if (dom.isExcluded(cur, this.root, this.exclude)) {
+      logger.error('element at specified XPath is excluded:', xpath);
+      return null;
     }
 
     return cur;
@@ -229,11 +279,7 @@ allowed.  Offending XPath representation: ${xpath}`
    * @returns {boolean} `true` if it is a highlight container
    */
   isHighlight_(node: Node): boolean {
-    // NOTE: this is potentially problematic if the document uses class names that contain or are
-    // equal to `Css.highlight´.
-    return (
-      node.nodeName.toLowerCase() === 'span' && (node: any).className.indexOf(Css.highlight) !== -1
-    );
+    return dom.isHighlight(node, this.namespace);
   }
 
   /**
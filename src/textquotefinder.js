@@ -0,0 +1,102 @@
+// @flow
+
+import TextContent from './textcontent';
+import Finder from './finder';
+import * as util from './util';
+import type { TextQuoteSelector } from './range';
+
+export type TextQuoteSubject = TextQuoteSelector;
+
+/**
+ * Compute the number of characters at the end of `text` that match the end of `prefix`
+ *
+ * @param {string} text - Text preceding an occurrence
+ * @param {string} prefix - Expected prefix
+ * @returns {number} Length of common suffix
+ */
+function matchPrefix(text: string, prefix: string): number {
+  let length = 0;
+  const max = Math.min(text.length, prefix.length);
+  while (length < max && text[text.length - length - 1] === prefix[prefix.length - length - 1]) {
+    ++length;
+  }
+
+  return length;
+}
+
+/**
+ * Compute the number of characters at the start of `text` that match the start of `suffix`
+ *
+ * @param {string} text - Text following an occurrence
+ * @param {string} suffix - Expected suffix
+ * @returns {number} Length of common prefix
+ */
+function matchSuffix(text: string, suffix: string): number {
+  let length = 0;
+  const max = Math.min(text.length, suffix.length);
+  while (length < max && text[length] === suffix[length]) {
+    ++length;
+  }
+
+  return length;
+}
+
+/**
+ * Class responsible for locating text in a `TextContent` instance from a W3C Web Annotation
+ * `TextQuoteSelector`
+ *
+ * Of all the occurrences of the selector's exact text, the one whose surrounding text matches the
+ * most characters of the prefix and suffix is selected, or the first if several match equally
+ * well.  At most one match is produced.
+ */
+class TextQuoteFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `TextQuoteFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `TextQuoteFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    return (
+      subject != null && subject.type === 'TextQuoteSelector' && typeof subject.exact === 'string'
+    );
+  }
+
+  /**
+   * Class constructor
+   *
+   * Throws an exception if the selector's exact text is empty.
+   *
+   * @param {TextContent} content - Reference to `TextContent` instance
+   * @param {TextQuoteSubject} subject - Text quote selector
+   */
+  constructor(content: TextContent, subject: TextQuoteSubject) {
+    // Construct base class
+    super(content);
+
+    const { exact, prefix = '', suffix = '' } = subject;
+    if (exact.length < 1) {
+      throw new Error('Invalid text quote selector: empty exact text');
+    }
+
+    const { text } = content;
+    let best = -1;
+    let bestScore = -1;
+    for (const offset of util.indexesOf(text, exact)) {
+      const end = offset + exact.length;
+      const score =
+        matchPrefix(text.substring(Math.max(offset - prefix.length, 0), offset), prefix) +
+        matchSuffix(text.substr(end, suffix.length), suffix);
+      if (score > bestScore) {
+        best = offset;
+        bestScore = score;
+      }
+    }
+
+    if (best >= 0) {
+      this.results.push({ index: best, length: exact.length });
+    }
+  }
+}
+
+export default TextQuoteFinder;
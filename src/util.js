@@ -1,7 +1,119 @@
 // @flow
 
+// Combining diacritical marks, their extended and supplementary blocks, and combining marks for
+// symbols and half marks.
+const DIACRITICS = /[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]/g;
+
+// Letters, marks, numbers and connector punctuation of any script.  The expression is compiled at
+// run-time since Unicode property escapes are not supported by the transpiler, and only when first
+// needed since engines lacking support throw on compilation.
+const WORD_SOURCE = '[\\p{L}\\p{M}\\p{N}\\p{Pc}]';
+// ASCII word characters, as matched by `\w`, to fall back on
+const ASCII_WORD = /\w/;
+let word: RegExp | null = null;
+
 function abstract() {
   throw new Error('Abstract method not implemented');
 }
 
-export { abstract };
+/**
+ * Fold text by decomposing it into its canonical form and stripping all diacritics
+ *
+ * Text in NFC and NFD forms, as well as accented and unaccented spellings of the same words, fold
+ * to the same string; e.g. "Zürich" and "Zurich" both fold to "Zurich".
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function fold(text: string): string {
+  return text.normalize('NFD').replace(DIACRITICS, '');
+}
+
+/**
+ * Convert text to lower case whilst preserving its length
+ *
+ * A few characters, such as the Latin capital letter I with dot above, expand to more than one
+ * character when converted to lower case.  These characters are left unchanged so offsets into the
+ * converted text remain valid offsets into the original text.
+ *
+ * @param {string} text - Text to convert
+ * @returns {string} Text in lower case
+ */
+function toLowerCase(text: string): string {
+  const lower = text.toLowerCase();
+  if (lower.length === text.length) {
+    return lower;
+  }
+
+  let result = '';
+  for (let i = 0, l = text.length; i < l; ++i) {
+    const c = text[i].toLowerCase();
+    result += c.length === 1 ? c : text[i];
+  }
+
+  return result;
+}
+
+function wordExpression(): RegExp {
+  if (word == null) {
+    try {
+      word = new RegExp(WORD_SOURCE, 'u');
+    } catch (x) {
+      word = ASCII_WORD;
+    }
+  }
+
+  return word;
+}
+
+function isWordAt(text: string, offset: number): boolean {
+  if (offset >= text.length) {
+    return false;
+  }
+
+  return wordExpression().test(String.fromCodePoint(text.codePointAt(offset)));
+}
+
+function isWordBefore(text: string, offset: number): boolean {
+  if (offset <= 0) {
+    return false;
+  }
+
+  // Step back over surrogate pairs so astral code points are tested as a whole
+  const code = text.charCodeAt(offset - 1);
+  const start = offset > 1 && code >= 0xdc00 && code <= 0xdfff ? offset - 2 : offset - 1;
+  return isWordAt(text, start);
+}
+
+/**
+ * Determine if a given offset of a text string falls within a word, i.e. between two word
+ * characters
+ *
+ * Word characters are letters, marks, numbers and connector punctuation of any script, as opposed
+ * to the ASCII-only definition that the `\b` assertion of regular expressions employs.
+ *
+ * @param {string} text - Text string
+ * @param {number} offset - Offset to test
+ * @returns {boolean} `true` if word characters exist on both sides of `offset`
+ */
+function isWithinWord(text: string, offset: number): boolean {
+  return isWordBefore(text, offset) && isWordAt(text, offset);
+}
+
+/**
+ * Find the offsets of all occurrences of a string in a text string, including overlapping ones
+ *
+ * @param {string} text - Text string
+ * @param {string} search - String to search for; must not be empty
+ * @returns {Array<number>} Offsets of occurrences in ascending order
+ */
+function indexesOf(text: string, search: string): Array<number> {
+  const offsets = [];
+  for (let i = text.indexOf(search); i >= 0; i = text.indexOf(search, i + 1)) {
+    offsets.push(i);
+  }
+
+  return offsets;
+}
+
+export { abstract, fold, toLowerCase, isWithinWord, indexesOf };
@@ -16,6 +16,18 @@ export type XpathSubject = {|
  * XPath representation and start and end offsets.
  */
 class XpathFinder extends Finder {
+  /**
+   * Determine if given subject is of type accepted by the `XpathFinder` class
+   *
+   * @param {any} subject - Subject to determine
+   * @returns {boolean} `true` if subject can be used to instantiate a `XpathFinder` class
+   */
+  static isSubject(subject: any): boolean {
+    const isEndpoint = endpoint =>
+      endpoint != null && typeof endpoint.xpath === 'string' && typeof endpoint.offset === 'number';
+    return subject != null && isEndpoint(subject.start) && isEndpoint(subject.end);
+  }
+
   /**
    * Class constructor
    *
@@ -34,7 +46,7 @@ class XpathFinder extends Finder {
 
     // Compute text node start and end elements that the XPath representation refers to.
     let end;
-    let xpath = new TextNodeXpath(this.content.root);
+    let xpath = new TextNodeXpath(this.content.root, this.content.exclude, this.content.namespace);
     let start = xpath.elementAt(subject.start.xpath);
 
     // If an element could not be obtained from the XPath representation, abort now (messages will
@@ -48,14 +60,12 @@ class XpathFinder extends Finder {
       return;
     }
 
-    // Retrieve global character offset of the text node.
-    start = content.find(start);
-    end = content.find(end);
-    if (start < 0 || end < 0) {
+    // Retrieve offset markers of the text nodes.
+    const startMarker = content.markerOf(start);
+    const endMarker = content.markerOf(end);
+    if (startMarker == null || endMarker == null) {
       logger.error(
-        'unable to derive global offsets: %d:%d [xpath=%s:%s to end=%s:%s]',
-        start,
-        end,
+        'unable to derive global offsets [xpath=%s:%s to end=%s:%s]',
         subject.start.xpath,
         subject.start.offset,
         subject.end.xpath,
@@ -64,9 +74,9 @@ class XpathFinder extends Finder {
       return;
     }
 
-    // Retrieve offset markers.
-    start = content.at(start).offset + subject.start.offset;
-    end = content.at(end).offset + subject.end.offset - 1;
+    // Compute global character offsets.
+    start = startMarker.offset + subject.start.offset;
+    end = endMarker.offset + subject.end.offset - 1;
 
     /* logger.log("DEBUG start = ", start, "end = ", end, subject); */
 
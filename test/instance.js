@@ -1,5 +1,7 @@
 /* global BROWSER */
 /* eslint-disable no-use-before-define */
+import merge from 'merge';
+
 import * as hh from '../src/main';
 
 import bootstrap from './bootstrap';
@@ -34,7 +36,7 @@ function clear() {
   container = null;
 }
 
-function init(ndx) {
+function init(ndx, options) {
   assertJsDOM();
   clear();
 
@@ -45,7 +47,7 @@ function init(ndx) {
   container.style.left = '-200%';
   document.body.appendChild(container);
 
-  instance = new hh.HtmlHighlighter(getOptions());
+  instance = new hh.HtmlHighlighter(getOptions(options));
   attest.clear();
 
   return instance;
@@ -72,8 +74,8 @@ function isFull() {
   return full;
 }
 
-function getOptions() {
-  return { container, maxHighlight: 100 };
+function getOptions(options) {
+  return merge({ container, maxHighlight: 100 }, options);
 }
 
 function get(what) {
@@ -6,6 +6,14 @@ const dataFiles = [
   'one_paragraph-ampersand',
   'one_paragraph-ampersand_escaped',
   'viber_attacked_by_syrian_electronic_army',
+  'whitespace',
+  'diacritics',
+  'words',
+  'patterns',
+  'quotes',
+  'blocks',
+  'excluded',
+  'rendered',
 ];
 const data = dataFiles.map(d => require(`../etc/data/${d}.json`).html);
 /* eslint-enable global-require */
@@ -119,6 +127,13 @@ const tests = {
       end: { xpath: '/p[1]/text()[4]', offset: 93 },
     },
   },
+  whitespace: {
+    text: 'sit\namet, consectetur\t\tadipiscing',
+    xpath: {
+      start: { xpath: '/p[2]/strong[1]/text()[1]', offset: 0 },
+      end: { xpath: '/p[2]/text()[2]', offset: 25 },
+    },
+  },
   'full.wrapElement': {
     text:
       'Viber appeared to have been hacked by the Syrian Electronic Army (a pro-government group',
@@ -54,11 +54,17 @@ function makeHighlight(
   options: CreateElementOptions = createElement.defaults
 ): HTMLElement {
   const hcl = consts.Css.highlight;
+  const { Attributes } = consts;
   options.tag = 'span';
   options.classes =
     Array.from(classNameToSet(options.classes || '')).join(' ') +
     `${hcl} ${hcl}-${queryID} ${hcl}-id-${highlightID}`;
-  return createElement(options);
+
+  const el = createElement(options);
+  el.setAttribute(Attributes.highlight, hcl);
+  el.setAttribute(Attributes.id, String(highlightID));
+  el.setAttribute(Attributes.query, String(queryID));
+  return el;
 }
 
 export { createElement, removeAll, classNameToSet, makeHighlight };